@@ -7,20 +7,24 @@
  * 
  * Features:
  * - Toggle buttons (with ARIA states)
+ * - Roving tabindex and arrow keys for toggle groups and toolbars
  * - Loading state management
+ * - Async action buttons (success/error/retry states)
  * - Auto-disable after click
  * - Dropdown button functionality
  * - Split button behaviors
  * - Expand/collapse functionality
  * - Keyboard interaction handling
  * - Screen reader announcements
+ * - Custom elements (<ds-button>, <ds-dropdown>, <ds-split-button>)
  * 
  * Architecture:
- * - ButtonSystem: Main controller class (singleton)
+ * - ButtonSystem: Main controller class, scoped to a root (document by default)
  * - Event delegation for performance
  * - WeakMap for element-specific data storage
  * - ARIA state management for accessibility
  * - AbortController for proper cleanup
+ * - MutationObserver sets up inserted components and releases removed ones
  * 
  * CHANGELOG v3.0.0:
  * - Consolidated duplicate event handlers
@@ -45,9 +49,48 @@
 /**
  * @typedef {Object} ButtonSystemOptions
  * @property {boolean} [autoInit=true] - Auto-initialize on construction
- * @property {Object} [i18n] - Internationalization strings
- * @property {string} [i18n.loading='Loading, please wait'] - Loading announcement
- * @property {string} [i18n.complete='Action completed'] - Complete announcement
+ * @property {Document|Element|ShadowRoot} [root=document] - Subtree this instance manages
+ * @property {string} [locale] - Message locale; defaults to the root's `lang`, then the browser's
+ * @property {string[]} [fallbackLocales=[]] - Locales tried, in order, for messages the locale lacks
+ * @property {Object<string, Messages>} [messages] - Message catalogues by locale
+ * @property {Messages} [i18n] - Messages that win over every catalogue, e.g. `{ loading: 'Cargando...' }`
+ * @property {boolean} [announceState=false] - Also announce toggles, menus opening and closing,
+ *   and expand/collapse (for screen readers that don't report those state changes)
+ * @property {boolean} [legacyEvents=false] - Also fire events under their pre-`ds:` names
+ * @property {Partial<typeof DEFAULTS>} [defaults] - Overrides for DEFAULTS (durations, delays, limits)
+ * @property {boolean} [debug=false] - Warn in the console about invalid options and markup
+ */
+
+/**
+ * A message: a string with `{placeholder}`s, plural forms keyed by
+ * Intl.PluralRules category (chosen by the `count` param), or a function
+ * of the params. Params include `name`, the element's accessible name.
+ * @typedef {string|Object<string, string>|function(Object): string} Message
+ */
+
+/**
+ * Messages by key; see I18N for the keys and English defaults
+ * @typedef {Object<string, Message>} Messages
+ */
+
+/**
+ * Event catalogue: the detail of each event, by name
+ * `ds:before*` events are cancelable; preventDefault() stops the change.
+ * @typedef {{
+ *   'ds:beforetoggle': {pressed: boolean, group: string|null, oldValue: string[]|null, newValue: string[]|null},
+ *   'ds:toggle': {pressed: boolean},
+ *   'ds:groupchange': {group: string|null, oldValue: string[], newValue: string[]},
+ *   'ds:loadingcomplete': {},
+ *   'ds:actionstart': {attempt: number},
+ *   'ds:actionsuccess': {result: *, attempt: number},
+ *   'ds:actionerror': {error: *, attempt: number, canRetry: boolean},
+ *   'ds:beforeopen': {trigger: HTMLElement|null, menu: HTMLElement},
+ *   'ds:select': {value: string, item: HTMLElement, checked: boolean|null, checkedValues: string[]},
+ *   'ds:primaryaction': {originalEvent: MouseEvent, value: string|null},
+ *   'ds:beforeexpand': {expanded: boolean, targets: HTMLElement[]},
+ *   'ds:confirm': {mode: 'hold'|'twice'},
+ *   'ds:expand': {expanded: boolean}
+ * }} ButtonSystemEventMap
  */
 
 /**
@@ -56,12 +99,153 @@
  * @property {boolean} disabled - Original disabled state
  */
 
+/**
+ * @callback ButtonAction
+ * @param {HTMLElement} button - The button running the action
+ * @param {{ attempt: number }} context - Attempt number (1-based)
+ * @returns {Promise<*>|*} Settles when the work is done
+ */
+
+/**
+ * @typedef {Object} ActionOptions
+ * @property {string} [loadingText] - Text shown while the action runs
+ * @property {string} [successText] - Text shown in the success state
+ * @property {string} [errorText] - Text shown in the error state
+ * @property {number} [retry=0] - Total attempts allowed (0 or 1 disables retry)
+ * @property {number} [feedbackDuration=2000] - How long success/error states remain visible
+ */
+
+/**
+ * @typedef {Object} ActionState
+ * @property {ButtonAction} action - The async function to run
+ * @property {ActionOptions} options - Resolved action options
+ * @property {number} attempt - Number of attempts made so far
+ * @property {Promise<*>|null} promise - In-flight attempt, if any
+ * @property {boolean} awaitingRetry - True while the error state offers a retry
+ */
+
+/**
+ * @typedef {Object} Composite
+ * @property {HTMLElement|null} container - The .btn-group, if any
+ * @property {HTMLElement[]} items - Focusable buttons in order
+ * @property {boolean} exclusive - True when items form one single-select toggle group
+ * @property {boolean} isRadio - True when exclusive and not deselectable
+ * @property {string} orientation - 'horizontal' or 'vertical'
+ * @property {boolean} followFocus - Select items as focus moves
+ */
+
+/**
+ * @typedef {Object} ToggleGroupConfig
+ * @property {HTMLElement[]} buttons - Group buttons in document order
+ * @property {HTMLElement|null} container - Shared .btn-group, if any
+ * @property {boolean} multiple - True for data-toggle-mode="multiple"
+ * @property {boolean} deselectable - Exclusive group may end with nothing pressed
+ * @property {number} min - Minimum pressed buttons (multiple mode)
+ * @property {number} max - Maximum pressed buttons, 0 for no limit
+ * @property {string|null} name - Form field name, if the group submits with a form
+ * @property {boolean} required - A value must be pressed for the form to submit
+ */
+
+/**
+ * @typedef {Object} FormField
+ * @property {HTMLElement} host - Element carrying the name (.btn-group, .btn-dropdown or first toggle)
+ * @property {string|null} group - Toggle group name, null for dropdowns
+ * @property {string[]} defaultValue - Value restored on form reset
+ * @property {HTMLElement|null} wrapper - Holds the generated inputs
+ */
+
+/**
+ * @typedef {Object} TypeaheadState
+ * @property {string} buffer - Characters typed since the last pause
+ * @property {number|null} timer - Timeout that clears the buffer
+ */
+
+/**
+ * @typedef {Object} SearchField
+ * @property {HTMLInputElement} input - The filter input at the top of the menu
+ * @property {HTMLElement} empty - Shown when no item matches
+ * @property {Set<HTMLElement>} filtered - Elements the current filter hid
+ */
+
+/**
+ * @callback MenuSource
+ * @param {string} query - Search text, '' when not searching
+ * @returns {Promise<Array<MenuSourceItem|string>>|Array<MenuSourceItem|string>} Items to show
+ */
+
+/**
+ * @typedef {Object} MenuSourceItem
+ * @property {string} value - Value reported by `ds:select`
+ * @property {string} [label] - Visible text (defaults to the value)
+ * @property {boolean} [disabled=false] - Shown but not selectable
+ */
+
+/**
+ * @typedef {Object} MenuSourceState
+ * @property {MenuSource} source - Callback providing the items
+ * @property {MenuSourceItem[]} items - Normalized items of the last load
+ * @property {'idle'|'loading'|'error'|'ready'} status - Load status
+ * @property {string} query - Query of the last load
+ * @property {number} request - Load counter; results of older loads are dropped
+ * @property {number|null} debounce - Timer for a search-driven load
+ * @property {number} rowHeight - Row height used for the virtual window
+ * @property {boolean} measured - True once rowHeight was measured
+ * @property {number} activeIndex - Index of the last row focused from the keyboard
+ * @property {Map<number, HTMLElement>} rows - Rendered rows by item index
+ * @property {HTMLElement} list - Holds the rendered rows
+ * @property {HTMLElement} message - Loading, error and empty state
+ */
+
+/**
+ * @typedef {Object} PortalState
+ * @property {HTMLElement} menu - The portaled menu
+ * @property {Comment} placeholder - Marks the menu's home inside the dropdown
+ */
+
 /**
  * @typedef {Object} DropdownCache
  * @property {HTMLElement[]} items - Cached menu items
  * @property {number} timestamp - Cache creation time
  */
 
+/**
+ * @typedef {Object} ConfirmState
+ * @property {number|null} timer - Hold completion or second-click expiry
+ * @property {boolean} armed - Hold: press in progress; twice: waiting for the second click
+ * @property {string|null} label - Twice: the button's HTML while the prompt shows
+ * @property {boolean} passThrough - The next click completes a hold
+ * @property {boolean} pointer - Hold: held by a pointer rather than a key
+ * @property {boolean} completed - A pointer hold just completed; its trailing click is ignored
+ * @property {function(): void|null} announcement - Cancels the "keep holding" announcement
+ */
+
+/**
+ * @typedef {Object} DisableState
+ * @property {'timer'|'cooldown'|'invalid'} mode - What re-enables the button
+ * @property {number|null} endsAt - Timer modes: time the button re-enables (ms since epoch)
+ * @property {string} name - The button's accessible name when it was disabled
+ * @property {string|null} label - Cooldown: the button's HTML before the countdown
+ * @property {string|null} storageKey - Storage key the end time is persisted under
+ * @property {function(): void|null} release - Invalid: stops watching the form
+ */
+
+/**
+ * @typedef {Object} ProgressState
+ * @property {number|null} value - Progress from 0 to 1, null while indeterminate
+ * @property {string} name - The button's accessible name before loading
+ * @property {HTMLElement} bar - The role="progressbar" element inside the button
+ * @property {string|null} describedby - The button's own aria-describedby, restored afterwards
+ * @property {number} announcedAt - Time of the last progress announcement
+ * @property {number} announced - Percentage last announced
+ */
+
+/**
+ * @typedef {Object} ShortcutBinding
+ * @property {string} shortcut - Normalized shortcut, e.g. "control+shift+k"
+ * @property {boolean} declared - Comes from data-shortcut rather than bindShortcut()
+ * @property {boolean} hint - Show the shortcut in a <kbd> inside the button
+ */
+
 /* ========================================================================
  * PRIVATE STORAGE
  * ========================================================================
@@ -69,48 +253,230 @@
  * WeakMaps allow garbage collection when elements are removed from DOM.
  * ======================================================================== */
 
-/** @type {WeakMap<HTMLElement, number>} */
+/** @type {WeakMap<HTMLElement, Map<string, number>>} */
 const buttonTimeouts = new WeakMap();
 
+/** @type {WeakMap<HTMLElement, DisableState>} */
+const disableStates = new WeakMap();
+
+/** @type {WeakMap<HTMLElement, ProgressState>} */
+const progressStates = new WeakMap();
+
+/** @type {WeakMap<HTMLElement, ShortcutBinding[]>} */
+const buttonShortcuts = new WeakMap();
+
 /** @type {WeakMap<HTMLElement, LoadingState>} */
 const buttonOriginalContent = new WeakMap();
 
+/** @type {WeakMap<HTMLElement, Array<function(): void>>} */
+const loadingResolvers = new WeakMap();
+
 /** @type {WeakMap<HTMLElement, DropdownCache>} */
 const dropdownItemCache = new WeakMap();
 
+/** @type {WeakMap<HTMLElement, ActionState>} */
+const buttonActionState = new WeakMap();
+
+/** @type {WeakMap<HTMLElement, SplitButtonController>} */
+const splitButtonControllers = new WeakMap();
+
+/** @type {WeakMap<HTMLElement, string>} */
+const dropdownPlaceholders = new WeakMap();
+
+/** @type {WeakMap<HTMLElement, TypeaheadState>} */
+const menuTypeahead = new WeakMap();
+
+/** @type {WeakMap<HTMLElement, SearchField>} */
+const menuSearchFields = new WeakMap();
+
+/** @type {WeakMap<HTMLElement, ConfirmState>} */
+const confirmStates = new WeakMap();
+
+/** @type {WeakMap<HTMLElement, MenuSourceState>} */
+const menuSources = new WeakMap();
+
+/**
+ * Menus moved out of their dropdown while open (data-portal), by dropdown
+ * @type {WeakMap<HTMLElement, PortalState>}
+ */
+const portaledMenus = new WeakMap();
+
+/** @type {WeakMap<HTMLElement, HTMLElement>} */
+const portalOwners = new WeakMap();
+
+/** @type {WeakMap<HTMLElement, HTMLElement>} */
+const contextMenuAttachments = new WeakMap();
+
+/**
+ * Running height transitions of expand targets, by target
+ * @type {WeakMap<HTMLElement, number>}
+ */
+const expandAnimations = new WeakMap();
+
+/**
+ * Expand targets that collapse to hidden="until-found"
+ * @type {WeakSet<HTMLElement>}
+ */
+const untilFoundTargets = new WeakSet();
+
+/**
+ * Targets whose context menu is open; point is relative to the target,
+ * null when opened from the keyboard
+ * @type {WeakMap<HTMLElement, {point: {x: number, y: number}|null}>}
+ */
+const openContextMenus = new WeakMap();
+
+/**
+ * Roots claimed by initialized instances.
+ * Shared through a global symbol so separately bundled copies of this
+ * script can see each other's roots and never double-handle a subtree.
+ * @type {WeakMap<Node, ButtonSystem>}
+ */
+const managedRoots = (() => {
+  const key = Symbol.for('button-design-system.managedRoots');
+  const host = typeof globalThis !== 'undefined' ? globalThis : {};
+  if (!(host[key] instanceof WeakMap)) {
+    host[key] = new WeakMap();
+  }
+  return host[key];
+})();
+
 /* ========================================================================
  * CONSTANTS
  * ========================================================================
  * Centralized configuration values for easy maintenance.
  * ======================================================================== */
 
+// Per-instance values start from these; see the `defaults` option and configure()
 const DEFAULTS = Object.freeze({
   loadingDuration: 2000,
   disableDuration: 3000,
   focusDelay: 50,
   announceDelay: 150, // Increased for better screen reader compatibility
+  announceInterval: 1000, // Time each announcement gets before the next queued one
   minDuration: 100,
   maxDuration: 30000,
-  cacheMaxAge: 5000 // 5 seconds for dropdown item cache
+  cacheMaxAge: 5000, // Dropdown item cache expiry where MutationObserver is unavailable
+  feedbackDuration: 2000, // Success/error state visibility for async actions
+  retryAttempts: 3, // Used when data-retry is present without a value
+  typeaheadTimeout: 500, // Pause that ends a menu typeahead search
+  submenuDelay: 150, // Pointer rest on an item before its submenu opens or others close
+  menuOffset: 4, // Gap between a menu and its trigger
+  viewportPadding: 8, // Space kept between a menu and the boundary edges
+  searchDebounce: 200, // Typing pause before a menu source reloads
+  virtualRowHeight: 36, // Row height assumed until a rendered row is measured
+  virtualOverscan: 8, // Rows rendered beyond each edge of a virtualized menu
+  confirmHoldDuration: 1500, // Press time a data-confirm="hold" button needs
+  confirmTimeout: 4000, // Time allowed for the second click of data-confirm="twice"
+  progressAnnounceInterval: 3000 // Minimum time between progress announcements
+});
+
+// Timer slots on a button; each behavior owns one so they never cancel each other
+const TIMERS = Object.freeze({
+  loading: 'loading',
+  feedback: 'feedback',
+  disable: 'disable',
+  progress: 'progress' // Trailing progress announcement
 });
 
+// Values of data-auto-disable; anything else uses a plain timer
+const DISABLE_MODES = Object.freeze(['cooldown', 'invalid']);
+
+// Limits beyond "non-negative number" for individual defaults
+const DEFAULT_RULES = Object.freeze({
+  retryAttempts: Object.freeze({ integer: true, max: 10 }),
+  virtualOverscan: Object.freeze({ integer: true }),
+  virtualRowHeight: Object.freeze({ min: 1 })
+});
+
+// Defaults that must lie within minDuration..maxDuration
+const CLAMPED_DEFAULTS = Object.freeze([
+  'loadingDuration',
+  'disableDuration',
+  'feedbackDuration',
+  'confirmHoldDuration',
+  'confirmTimeout'
+]);
+
+// English messages, the last fallback of every locale
+const I18N = Object.freeze({
+  loading: 'Loading, please wait',
+  complete: 'Action completed',
+  success: 'Action succeeded',
+  error: 'Action failed',
+  retry: 'Action failed, activate the button to try again',
+  retryLabel: 'Retry',
+  required: 'Please select an option',
+  search: 'Search',
+  noResults: 'No results',
+  results: Object.freeze({ one: '{count} result', other: '{count} results' }),
+  menuLoading: 'Loading options',
+  menuError: 'Could not load options',
+  toggleOn: '{name}, on',
+  toggleOff: '{name}, off',
+  menuOpened: '{name}, menu opened',
+  menuClosed: '{name}, menu closed',
+  expanded: '{name}, expanded',
+  collapsed: '{name}, collapsed',
+  cooldownLabel: '{label} ({count}s)',
+  cooldownStarted: Object.freeze({
+    one: '{name} available again in {count} second',
+    other: '{name} available again in {count} seconds'
+  }),
+  cooldownEnded: '{name} available again',
+  progress: '{name}, {percent}%',
+  confirmHoldHint: 'Press and hold to confirm {name}',
+  confirmHoldStart: 'Keep holding to confirm {name}',
+  confirmLabel: 'Click again to confirm',
+  confirmArmed: 'Click again to confirm {name}',
+  confirmCanceled: '{name} not confirmed',
+  confirmed: '{name} confirmed'
+});
+
+// Languages written right to left, where Intl.Locale has no text info
+const RTL_LANGUAGES = Object.freeze(['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'iw', 'ks', 'ps', 'sd', 'ug', 'ur', 'yi']);
+
+// Plural rules by locale, created on first use
+const pluralRules = new Map();
+
 const SELECTORS = Object.freeze({
   button: 'button, [role="button"]',
   dropdown: '.btn-dropdown',
   dropdownTrigger: '.btn-dropdown__trigger',
   dropdownMenu: '.btn-dropdown__menu',
   dropdownItem: '.btn-dropdown__item',
+  submenu: '.btn-dropdown__submenu',
+  menuGroup: '.btn-dropdown__group',
+  menuHeading: '.btn-dropdown__heading',
+  menuSeparator: '.btn-dropdown__divider',
+  checkableItem: '[role="menuitemcheckbox"], [role="menuitemradio"]',
+  searchInput: '.btn-dropdown__search-input',
+  searchMatch: '.btn-dropdown__match',
+  menuRetry: '.btn-dropdown__retry',
+  portalMenu: '.btn-dropdown__menu--portal',
+  group: '.btn-group',
   expand: '.btn-expand',
-  splitMain: '.btn-split__main'
+  split: '.btn-split',
+  splitMain: '.btn-split__main',
+  splitDropdown: '.btn-split__dropdown',
+  shortcutHint: '.btn__shortcut',
+  progressBar: '.btn__progress'
 });
 
 const ARIA = Object.freeze({
   pressed: 'aria-pressed',
+  checked: 'aria-checked',
+  orientation: 'aria-orientation',
   expanded: 'aria-expanded',
   disabled: 'aria-disabled',
   busy: 'aria-busy',
   controls: 'aria-controls',
-  haspopup: 'aria-haspopup'
+  haspopup: 'aria-haspopup',
+  labelledby: 'aria-labelledby',
+  describedby: 'aria-describedby',
+  valueNow: 'aria-valuenow',
+  valueMin: 'aria-valuemin',
+  valueMax: 'aria-valuemax'
 });
 
 const KEYS = Object.freeze({
@@ -119,25 +485,147 @@ const KEYS = Object.freeze({
   ESCAPE: 'Escape',
   ARROW_DOWN: 'ArrowDown',
   ARROW_UP: 'ArrowUp',
+  ARROW_LEFT: 'ArrowLeft',
+  ARROW_RIGHT: 'ArrowRight',
   HOME: 'Home',
   END: 'End',
-  TAB: 'Tab'
+  TAB: 'Tab',
+  F10: 'F10',
+  CONTEXT_MENU: 'ContextMenu'
+});
+
+// Modifiers in the order normalized shortcuts list them
+const SHORTCUT_MODIFIERS = Object.freeze(['control', 'alt', 'shift', 'meta']);
+
+// Other names data-shortcut accepts for modifiers and keys
+const SHORTCUT_ALIASES = Object.freeze({
+  ctrl: 'control',
+  cmd: 'meta',
+  command: 'meta',
+  option: 'alt',
+  opt: 'alt',
+  esc: 'escape',
+  return: 'enter',
+  del: 'delete',
+  up: 'arrowup',
+  down: 'arrowdown',
+  left: 'arrowleft',
+  right: 'arrowright'
+});
+
+// Named keys a shortcut may use besides single characters and F1-F24
+const SHORTCUT_KEYS = Object.freeze({
+  enter: 'Enter',
+  escape: 'Escape',
+  space: 'Space',
+  plus: 'Plus',
+  tab: 'Tab',
+  backspace: 'Backspace',
+  delete: 'Delete',
+  insert: 'Insert',
+  home: 'Home',
+  end: 'End',
+  pageup: 'PageUp',
+  pagedown: 'PageDown',
+  arrowup: 'ArrowUp',
+  arrowdown: 'ArrowDown',
+  arrowleft: 'ArrowLeft',
+  arrowright: 'ArrowRight'
+});
+
+// Modifier symbols in Apple shortcut hints
+const APPLE_MODIFIER_SYMBOLS = Object.freeze({ control: '⌃', alt: '⌥', shift: '⇧', meta: '⌘' });
+
+const EVENTS = Object.freeze({
+  beforeToggle: 'ds:beforetoggle',
+  toggle: 'ds:toggle',
+  groupChange: 'ds:groupchange',
+  loadingComplete: 'ds:loadingcomplete',
+  actionStart: 'ds:actionstart',
+  actionSuccess: 'ds:actionsuccess',
+  actionError: 'ds:actionerror',
+  beforeOpen: 'ds:beforeopen',
+  beforeExpand: 'ds:beforeexpand',
+  confirm: 'ds:confirm',
+  select: 'ds:select',
+  primaryAction: 'ds:primaryaction',
+  expand: 'ds:expand'
+});
+
+// Pre-namespace event names, fired as well with the legacyEvents option
+const LEGACY_EVENTS = Object.freeze({
+  [EVENTS.toggle]: 'toggle',
+  [EVENTS.groupChange]: 'groupchange',
+  [EVENTS.loadingComplete]: 'loadingComplete',
+  [EVENTS.actionStart]: 'actionStart',
+  [EVENTS.actionSuccess]: 'actionSuccess',
+  [EVENTS.actionError]: 'actionError',
+  [EVENTS.select]: 'select',
+  [EVENTS.primaryAction]: 'primaryAction',
+  [EVENTS.expand]: 'expand'
 });
 
 const DATA_ATTRS = Object.freeze({
   toggle: 'data-toggle',
   toggleGroup: 'data-toggle-group',
+  toggleMode: 'data-toggle-mode',
+  toggleMin: 'data-toggle-min',
+  toggleMax: 'data-toggle-max',
+  toggleDeselectable: 'data-toggle-deselectable',
+  followFocus: 'data-selection-follows-focus',
   loadingText: 'data-loading-text',
   loadingDuration: 'data-loading-duration',
+  shortcut: 'data-shortcut',
+  shortcutScope: 'data-shortcut-scope',
+  shortcutHint: 'data-shortcut-hint',
+  progress: 'data-progress',
+  progressStyle: 'data-progress-style',
   autoDisable: 'data-auto-disable',
   disableDuration: 'data-disable-duration',
+  disablePersist: 'data-disable-persist',
+  cooldownText: 'data-cooldown-text',
+  feedbackDuration: 'data-feedback-duration',
+  searchDebounce: 'data-search-debounce',
   value: 'data-value',
-  position: 'data-position'
+  position: 'data-position',
+  action: 'data-action',
+  successText: 'data-success-text',
+  errorText: 'data-error-text',
+  retry: 'data-retry',
+  rememberAction: 'data-remember-action',
+  select: 'data-select',
+  placeholder: 'data-placeholder',
+  noWrap: 'data-no-wrap',
+  placement: 'data-placement',
+  boundary: 'data-boundary',
+  portal: 'data-portal',
+  contextMenu: 'data-context-menu',
+  keepOpen: 'data-keep-open',
+  searchable: 'data-searchable',
+  expandGroup: 'data-expand-group',
+  expandMode: 'data-expand-mode',
+  expandPersist: 'data-expand-persist',
+  confirm: 'data-confirm',
+  confirmDuration: 'data-confirm-duration',
+  confirmText: 'data-confirm-text',
+  index: 'data-index'
 });
 
 // Regex for validating toggle group names (alphanumeric, hyphen, underscore only)
 const VALID_GROUP_NAME = /^[a-zA-Z0-9_-]+$/;
 
+// Menu placements: side, optionally aligned to the anchor's start or end
+const VALID_PLACEMENT = /^(top|bottom|left|right)(-(start|end))?$/;
+
+// Counter for generated submenu IDs
+let submenuId = 0;
+
+// Counter for generated menu group heading IDs
+let menuHeadingId = 0;
+
+// Counter for generated progress bar IDs
+let progressBarId = 0;
+
 /* ========================================================================
  * UTILITY FUNCTIONS
  * ========================================================================
@@ -159,9 +647,11 @@ function clamp(value, min, max) {
  * Validate and parse duration from attribute
  * @param {string|null} value - The attribute value
  * @param {number} defaultValue - Default if invalid
+ * @param {number} min - Shortest allowed duration
+ * @param {number} max - Longest allowed duration
  * @returns {number} Valid duration in milliseconds
  */
-function parseDuration(value, defaultValue) {
+function parseDuration(value, defaultValue, min, max) {
   if (!value) return defaultValue;
   
   const parsed = parseInt(value, 10);
@@ -170,1035 +660,7300 @@ function parseDuration(value, defaultValue) {
     return defaultValue;
   }
   
-  return clamp(parsed, DEFAULTS.minDuration, DEFAULTS.maxDuration);
-}
-
-/**
- * Validate toggle group name for security
- * @param {string} name - The group name to validate
- * @returns {boolean} True if valid
- */
-function isValidGroupName(name) {
-  return VALID_GROUP_NAME.test(name);
+  return clamp(parsed, min, max);
 }
 
 /**
- * Create a null-prototype object for event details (prevents prototype pollution)
- * @param {Object} props - Properties to add
- * @returns {Object} Null-prototype object
+ * Parse a retry attempt count from attribute
+ * An empty attribute (e.g. `data-retry`) enables retry with the default count.
+ * @param {string|null} value - The attribute value
+ * @param {number} defaultValue - Default if empty or invalid
+ * @returns {number} Total attempts allowed (1-10)
  */
-function createEventDetail(props) {
-  return Object.assign(Object.create(null), props);
+function parseAttempts(value, defaultValue) {
+  if (value === null) return 0;
+  
+  const parsed = parseInt(value, 10);
+  
+  if (Number.isNaN(parsed) || parsed < 0) {
+    return defaultValue;
+  }
+  
+  return clamp(parsed, 0, 10);
 }
 
 /**
- * Check if element is still in the DOM
- * @param {HTMLElement} element - Element to check
- * @returns {boolean} True if element is connected
+ * Report an invalid option in the console
+ * @param {boolean} debug - Whether warnings are on
+ * @param {string} message - What was wrong and what is used instead
  */
-function isElementConnected(element) {
-  return element && element.isConnected;
+function warnOption(debug, message) {
+  if (debug && typeof console !== 'undefined') {
+    console.warn(`ButtonSystem: ${message}`);
+  }
 }
 
 /**
- * ==========================================================================
- * ButtonSystem Class
- * ==========================================================================
- * Main controller for all button behaviors in the design system.
- * Implements singleton pattern to ensure only one instance manages the DOM.
- * 
- * @example
- * // System auto-initializes on script load
- * // Access via global: window.buttonSystem
- * 
- * // Programmatic usage:
- * await buttonSystem.setLoading(button, 2000);
- * buttonSystem.setPressed(button, true);
- * 
- * // With custom i18n:
- * const system = new ButtonSystem({
- *   i18n: {
- *     loading: 'Cargando...',
- *     complete: 'Completado'
- *   }
- * });
- * ==========================================================================
+ * Merge default overrides onto a base, keeping the base value of any
+ * override that fails validation
+ * @param {typeof DEFAULTS} base - Current defaults
+ * @param {Object} [overrides] - Values to change
+ * @param {boolean} debug - Whether to warn about rejected values
+ * @returns {typeof DEFAULTS} Frozen merged defaults
  */
-class ButtonSystem {
-  /**
-   * Initialize the button system
-   * @param {ButtonSystemOptions} [options={}] - Configuration options
-   */
-  constructor(options = {}) {
-    const { 
-      autoInit = true,
-      i18n = {}
-    } = options;
-    
-    // Store configuration
-    this._config = Object.freeze({
-      i18n: Object.freeze({
-        loading: i18n.loading || 'Loading, please wait',
-        complete: i18n.complete || 'Action completed'
-      })
-    });
-    
-    // Track initialization state
-    this._initialized = false;
-    
-    // AbortController for cleanup
-    this._abortController = null;
-    
-    // Bound handlers for proper cleanup
-    this._handleEvent = this._handleEvent.bind(this);
-    this._handleKeydown = this._handleKeydown.bind(this);
-    
-    // Live region reference
-    this._liveRegion = null;
-    
-    // Open dropdowns set for efficient tracking
-    this._openDropdowns = new Set();
-    
-    // Initialize when DOM is ready
-    if (autoInit) {
-      if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => this.init(), { once: true });
-      } else {
-        this.init();
-      }
-    }
+function resolveDefaults(base, overrides, debug) {
+  const resolved = { ...base };
+  if (overrides === undefined || overrides === null) {
+    return Object.freeze(resolved);
   }
   
-  /**
-   * Check if system is initialized
-   * @public
-   * @returns {boolean} Initialization state
-   */
-  get initialized() {
-    return this._initialized;
+  if (typeof overrides !== 'object') {
+    warnOption(debug, 'defaults must be an object; ignoring it');
+    return Object.freeze(resolved);
   }
   
-  /**
-   * Initialize all button behaviors
-   * Attaches event listeners using event delegation
-   * @public
-   * @returns {ButtonSystem} Returns this for chaining
-   */
-  init() {
-    if (this._initialized) {
-      return this;
+  Object.keys(overrides).forEach(key => {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULTS, key)) {
+      warnOption(debug, `unknown default "${key}" ignored`);
+      return;
     }
     
-    // Create AbortController for cleanup
-    this._abortController = new AbortController();
-    const { signal } = this._abortController;
-    
-    // Single consolidated event handler using event delegation
-    document.addEventListener('click', this._handleEvent, { signal });
-    document.addEventListener('keydown', this._handleKeydown, { signal });
-    
-    // Initialize all dropdowns as closed
-    this._closeAllDropdowns();
-    
-    // Create live region for announcements
-    this._createLiveRegion();
+    const value = overrides[key];
+    const rule = DEFAULT_RULES[key] || {};
+    const valid = typeof value === 'number' && Number.isFinite(value) &&
+      value >= (rule.min || 0) &&
+      (rule.max === undefined || value <= rule.max) &&
+      (!rule.integer || Number.isInteger(value));
     
-    this._initialized = true;
-    
-    return this;
-  }
-  
-  /**
-   * Cleanup and destroy the button system
-   * Removes all event listeners and cleans up state
-   * @public
-   */
-  destroy() {
-    if (!this._initialized) {
+    if (!valid) {
+      const kind = rule.integer ? 'an integer' : 'a number';
+      const range = rule.max === undefined ? `of at least ${rule.min || 0}` : `from ${rule.min || 0} to ${rule.max}`;
+      warnOption(debug, `defaults.${key} must be ${kind} ${range}; keeping ${base[key]}`);
       return;
     }
     
-    // Abort all event listeners
-    if (this._abortController) {
-      this._abortController.abort();
-      this._abortController = null;
-    }
-    
-    // Remove live region
-    if (this._liveRegion && this._liveRegion.parentNode) {
-      this._liveRegion.parentNode.removeChild(this._liveRegion);
+    resolved[key] = value;
+  });
+  
+  if (resolved.minDuration > resolved.maxDuration) {
+    warnOption(debug, `defaults.minDuration (${resolved.minDuration}) exceeds maxDuration ` +
+      `(${resolved.maxDuration}); keeping ${base.minDuration}-${base.maxDuration}`);
+    resolved.minDuration = base.minDuration;
+    resolved.maxDuration = base.maxDuration;
+  }
+  
+  CLAMPED_DEFAULTS.forEach(key => {
+    const value = clamp(resolved[key], resolved.minDuration, resolved.maxDuration);
+    if (value !== resolved[key]) {
+      warnOption(debug, `defaults.${key} (${resolved[key]}) is outside minDuration..maxDuration; using ${value}`);
+      resolved[key] = value;
     }
-    this._liveRegion = null;
-    
-    // Clear open dropdowns set
-    this._openDropdowns.clear();
-    
-    this._initialized = false;
+  });
+  
+  return Object.freeze(resolved);
+}
+
+/**
+ * Check that a value can be used as a message
+ * @param {*} value - Candidate message
+ * @returns {boolean} True for non-empty strings, functions and plural
+ *   objects with an `other` form
+ */
+function isValidMessage(value) {
+  if (typeof value === 'string') return value.length > 0;
+  if (typeof value === 'function') return true;
+  return Boolean(value) && typeof value === 'object' && typeof value.other === 'string';
+}
+
+/**
+ * Merge message overrides onto a base, ignoring invalid values
+ * @param {Messages} base - Current messages
+ * @param {Object} [overrides] - Messages to change
+ * @param {boolean} debug - Whether to warn about rejected values
+ * @returns {Messages} Frozen merged messages
+ */
+function resolveMessages(base, overrides, debug) {
+  const resolved = { ...base };
+  if (!overrides || typeof overrides !== 'object') {
+    return Object.freeze(resolved);
   }
   
-  /* ========================================================================
-   * PRIVATE: Event Handlers
-   * ======================================================================== */
+  Object.keys(overrides).forEach(key => {
+    if (!Object.prototype.hasOwnProperty.call(I18N, key)) {
+      warnOption(debug, `unknown i18n message "${key}" ignored`);
+    } else if (isValidMessage(overrides[key])) {
+      resolved[key] = typeof overrides[key] === 'object' ? Object.freeze({ ...overrides[key] }) : overrides[key];
+    } else if (overrides[key] !== undefined) {
+      warnOption(debug, `i18n.${key} must be a non-empty string, a function or plural forms with "other"`);
+    }
+  });
   
-  /**
-   * Consolidated event handler - handles both click and outside click
+  return Object.freeze(resolved);
+}
+
+/**
+ * Canonicalize a BCP 47 locale tag
+ * @param {*} locale - Candidate tag
+ * @returns {string|null} The canonical tag, or null if invalid
+ */
+function canonicalizeLocale(locale) {
+  if (typeof locale !== 'string' || !locale) return null;
+  
+  try {
+    return Intl.getCanonicalLocales(locale)[0] || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * List the locales to look messages up in, most specific first
+ * `de-CH` with fallback `fr` gives de-CH, de, fr; English comes last
+ * through the built-in catalogue.
+ * @param {string} locale - Canonical locale
+ * @param {string[]} fallbackLocales - Canonical fallback locales
+ * @returns {string[]} Locale chain without duplicates
+ */
+function getLocaleChain(locale, fallbackLocales) {
+  const chain = [];
+  [locale, ...fallbackLocales].forEach(tag => {
+    const parts = tag.split('-');
+    for (let length = parts.length; length > 0; length--) {
+      const candidate = parts.slice(0, length).join('-');
+      if (!chain.includes(candidate)) {
+        chain.push(candidate);
+      }
+    }
+  });
+  return chain;
+}
+
+/**
+ * Get cached plural rules for a locale
+ * @param {string} locale - Canonical locale
+ * @returns {Intl.PluralRules|null} The rules, or null where unsupported
+ */
+function getPluralRules(locale) {
+  if (!pluralRules.has(locale)) {
+    pluralRules.set(locale, typeof Intl.PluralRules === 'function' ? new Intl.PluralRules(locale) : null);
+  }
+  return pluralRules.get(locale);
+}
+
+/**
+ * Turn a message into text
+ * Numbers are formatted for the locale; placeholders without a param are
+ * dropped.
+ * @param {Message} message - The message
+ * @param {Object} params - Placeholder values
+ * @param {string} locale - Canonical locale for plurals and numbers
+ * @returns {string} The text
+ */
+function formatMessage(message, params, locale) {
+  if (typeof message === 'function') {
+    return String(message(params));
+  }
+  
+  let template = message;
+  if (typeof message === 'object') {
+    const rules = typeof params.count === 'number' ? getPluralRules(locale) : null;
+    template = (rules && message[rules.select(params.count)]) || message.other;
+  }
+  
+  return template.replace(/\{(\w+)\}/g, (match, key) => {
+    const value = params[key];
+    if (value === undefined || value === null) return '';
+    return typeof value === 'number' ? value.toLocaleString(locale) : String(value);
+  }).replace(/^[\s,]+|[\s,]+$/g, '');
+}
+
+/**
+ * Check whether a locale is written right to left
+ * @param {string} locale - Canonical locale
+ * @returns {boolean} True for right-to-left scripts
+ */
+function isRTLLocale(locale) {
+  if (typeof Intl.Locale === 'function') {
+    const intlLocale = new Intl.Locale(locale);
+    const textInfo = typeof intlLocale.getTextInfo === 'function' ? intlLocale.getTextInfo() : intlLocale.textInfo;
+    if (textInfo && textInfo.direction) {
+      return textInfo.direction === 'rtl';
+    }
+  }
+  return RTL_LANGUAGES.includes(locale.split('-')[0]);
+}
+
+/**
+ * Resolve an element's text direction
+ * The computed `direction` wins, so stylesheets count as well as the `dir`
+ * attribute; as it is always resolved, a computed `ltr` only counts under
+ * a `dir` attribute (searched across shadow boundaries). Otherwise the
+ * locale decides.
+ * @param {Element} element - The element
+ * @param {string} locale - Fallback locale
+ * @returns {'ltr'|'rtl'} The direction
+ */
+function getTextDirection(element, locale) {
+  let declared = null;
+  let node = element;
+  while (node && !declared) {
+    const dir = node.getAttribute('dir');
+    if (dir === 'rtl' || dir === 'ltr') declared = dir;
+    node = node.parentElement || (node.getRootNode().host ?? null);
+  }
+  
+  const view = element.ownerDocument.defaultView;
+  const computed = view && element.isConnected ? view.getComputedStyle(element).direction : '';
+  if (computed === 'rtl' || (computed === 'ltr' && declared)) return computed;
+  
+  return declared || (isRTLLocale(locale) ? 'rtl' : 'ltr');
+}
+
+/**
+ * Get the locale declared for a root by the nearest `lang` attribute
+ * @param {Document|Element|ShadowRoot} root - The root
+ * @returns {string|null} Canonical locale, or null if none is declared
+ */
+function getDeclaredLocale(root) {
+  let element = root.nodeType === Node.DOCUMENT_NODE ? root.documentElement : root;
+  if (element && element.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+    element = element.host;
+  }
+  const declared = element ? element.closest('[lang]') : null;
+  return declared ? canonicalizeLocale(declared.getAttribute('lang')) : null;
+}
+
+/**
+ * Get the text of a node, leaving out aria-hidden descendants
+ * @param {Node} node - The node
+ * @returns {string} The text
+ */
+function getVisibleText(node) {
+  return Array.from(node.childNodes).map(child => {
+    if (child.nodeType === Node.TEXT_NODE) return child.textContent;
+    if (child.nodeType !== Node.ELEMENT_NODE || child.getAttribute('aria-hidden') === 'true') return '';
+    return getVisibleText(child);
+  }).join('');
+}
+
+/**
+ * Get an element's accessible name for announcements
+ * A simplified name computation: aria-label, then aria-labelledby, then
+ * the text content minus aria-hidden parts such as shortcut hints.
+ * @param {Element} element - The element
+ * @returns {string} The name, possibly empty
+ */
+function getAccessibleName(element) {
+  const label = element.getAttribute('aria-label');
+  if (label && label.trim()) return label.trim();
+  
+  const labelledby = element.getAttribute(ARIA.labelledby);
+  const root = element.getRootNode();
+  if (labelledby && typeof root.getElementById === 'function') {
+    const text = labelledby.split(/\s+/)
+      .map(id => root.getElementById(id))
+      .filter(Boolean)
+      .map(node => node.textContent)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (text) return text;
+  }
+  
+  return getVisibleText(element).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get a button's confirmation mode
+ * @param {HTMLElement} button - The button
+ * @returns {'hold'|'twice'|null} The mode, or null for plain buttons
+ */
+function getConfirmMode(button) {
+  const mode = button.getAttribute(DATA_ATTRS.confirm);
+  return mode === 'hold' || mode === 'twice' ? mode : null;
+}
+
+/**
+ * Get a button's auto-disable mode
+ * @param {HTMLElement} button - The button
+ * @returns {'timer'|'cooldown'|'invalid'} The mode
+ */
+function getDisableMode(button) {
+  const mode = button.getAttribute(DATA_ATTRS.autoDisable);
+  return DISABLE_MODES.includes(mode) ? mode : 'timer';
+}
+
+/**
+ * Start a button timer, replacing the pending one in the same slot
+ * @param {HTMLElement} button - The button
+ * @param {string} slot - Timer slot (see TIMERS)
+ * @param {function(): void} callback - Called when the timer fires
+ * @param {number} delay - Delay in ms
+ */
+function setButtonTimer(button, slot, callback, delay) {
+  clearButtonTimer(button, slot);
+  
+  let timers = buttonTimeouts.get(button);
+  if (!timers) {
+    timers = new Map();
+    buttonTimeouts.set(button, timers);
+  }
+  
+  timers.set(slot, setTimeout(() => {
+    timers.delete(slot);
+    callback();
+  }, delay));
+}
+
+/**
+ * Cancel the pending timer in one slot of a button
+ * @param {HTMLElement} button - The button
+ * @param {string} slot - Timer slot (see TIMERS)
+ */
+function clearButtonTimer(button, slot) {
+  const timers = buttonTimeouts.get(button);
+  if (timers && timers.has(slot)) {
+    clearTimeout(timers.get(slot));
+    timers.delete(slot);
+  }
+}
+
+/**
+ * Cancel every pending timer of a button
+ * @param {HTMLElement} button - The button
+ */
+function clearButtonTimers(button) {
+  const timers = buttonTimeouts.get(button);
+  if (timers) {
+    timers.forEach(timer => clearTimeout(timer));
+    buttonTimeouts.delete(button);
+  }
+}
+
+/**
+ * Resolve the setLoading() promises waiting on a button
+ * @param {HTMLElement} button - The button
+ */
+function settleLoading(button) {
+  const resolvers = loadingResolvers.get(button);
+  if (resolvers) {
+    loadingResolvers.delete(button);
+    resolvers.forEach(resolve => resolve());
+  }
+}
+
+/**
+ * Check whether the page runs on an Apple platform, where mod means Cmd
+ * @returns {boolean} True on macOS and iOS
+ */
+function isApplePlatform() {
+  const platform = (navigator.userAgentData && navigator.userAgentData.platform) || navigator.platform || '';
+  return /mac|iphone|ipad|ipod/i.test(platform);
+}
+
+/**
+ * Normalize a shortcut such as "mod+s" or "Ctrl+Shift+K"
+ * @param {string} combo - Modifiers and a key joined with "+"
+ * @param {boolean} apple - Map mod to Cmd (meta) rather than Ctrl
+ * @returns {string|null} The normalized shortcut ("control+shift+k"), or null if invalid
+ */
+function normalizeShortcut(combo, apple) {
+  const parts = String(combo).trim().toLowerCase().split(/\s*\+\s*/)
+    .map(part => SHORTCUT_ALIASES[part] || part);
+  const key = parts.pop();
+  
+  if (!key || !(key.length === 1 || SHORTCUT_KEYS[key] || /^f([1-9]|1\d|2[0-4])$/.test(key))) {
+    return null;
+  }
+  
+  const modifiers = parts.map(part => (part === 'mod' ? (apple ? 'meta' : 'control') : part));
+  if (!modifiers.every(modifier => SHORTCUT_MODIFIERS.includes(modifier))) {
+    return null;
+  }
+  
+  return [...SHORTCUT_MODIFIERS.filter(modifier => modifiers.includes(modifier)), key].join('+');
+}
+
+/**
+ * Check whether a key is a symbol whose character already reflects Shift
+ * @param {string} key - Normalized key
+ * @returns {boolean} True for punctuation such as "?" or "plus"
+ */
+function isShiftedCharacter(key) {
+  return key === 'plus' || /^[^a-z0-9\s]$/.test(key);
+}
+
+/**
+ * Get the normalized shortcut a keydown event stands for
+ * @param {KeyboardEvent} event - The keydown event
+ * @returns {string|null} The shortcut, or null for a lone modifier key
+ */
+function getEventShortcut(event) {
+  let key = event.key;
+  if (!key || ['Control', 'Alt', 'Shift', 'Meta'].includes(key)) return null;
+  
+  // Alt changes the character letters and digits produce (Option on Apple)
+  if (event.altKey && /^(Key[A-Z]|Digit\d)$/.test(event.code)) {
+    key = event.code.slice(-1);
+  }
+  
+  key = key === ' ' ? 'space' : key === '+' ? 'plus' : key.toLowerCase();
+  
+  // Shift is part of symbols like "?" already, so it is not a modifier there
+  const shift = event.shiftKey && !isShiftedCharacter(key);
+  const pressed = { control: event.ctrlKey, alt: event.altKey, shift, meta: event.metaKey };
+  
+  return [...SHORTCUT_MODIFIERS.filter(modifier => pressed[modifier]), key].join('+');
+}
+
+/**
+ * Format a normalized shortcut for aria-keyshortcuts or a visible hint
+ * @param {string} shortcut - Normalized shortcut
+ * @param {'aria'|'apple'|'text'} style - aria-keyshortcuts syntax, Apple symbols ("⌘S") or "Ctrl+S"
+ * @returns {string} The formatted shortcut
+ */
+function formatShortcut(shortcut, style) {
+  const parts = shortcut.split('+');
+  const key = parts.pop();
+  
+  let keyName = key.length === 1 ? key.toUpperCase() : SHORTCUT_KEYS[key] || key.toUpperCase();
+  if (style !== 'aria' && key === 'plus') {
+    keyName = '+';
+  }
+  
+  if (style === 'apple') {
+    return parts.map(modifier => APPLE_MODIFIER_SYMBOLS[modifier]).join('') + keyName;
+  }
+  
+  const names = style === 'aria'
+    ? { control: 'Control', alt: 'Alt', shift: 'Shift', meta: 'Meta' }
+    : { control: 'Ctrl', alt: 'Alt', shift: 'Shift', meta: 'Meta' };
+  return [...parts.map(modifier => names[modifier]), keyName].join('+');
+}
+
+/**
+ * Check whether keys pressed in an element type text
+ * @param {Element} element - The focused element
+ * @returns {boolean} True for text fields, selects and editable content
+ */
+function isEditableTarget(element) {
+  if (!element || !element.matches) return false;
+  
+  return element.isContentEditable ||
+    element.matches('textarea, select, input:not([type="button"], [type="submit"], [type="reset"], ' +
+      '[type="checkbox"], [type="radio"], [type="range"], [type="color"], [type="file"], [type="image"])');
+}
+
+/**
+ * Read a value from localStorage
+ * @param {string} key - Storage key
+ * @returns {string|null} The value, or null if missing or storage is unavailable
+ */
+function readStorage(key) {
+  try {
+    return window.localStorage.getItem(key);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Write a value to localStorage, or remove it with null
+ * @param {string} key - Storage key
+ * @param {string|null} value - Value to store
+ */
+function writeStorage(key, value) {
+  try {
+    if (value === null) {
+      window.localStorage.removeItem(key);
+    } else {
+      window.localStorage.setItem(key, value);
+    }
+  } catch (error) {
+    // Storage is blocked or full; the state just isn't remembered
+  }
+}
+
+/**
+ * Get the longest transition (duration plus delay) on an element
+ * @param {Element} element - The element
+ * @returns {number} Milliseconds
+ */
+function getTransitionTime(element) {
+  const style = element.ownerDocument.defaultView.getComputedStyle(element);
+  const toMs = (value) => parseFloat(value) * (value.trim().endsWith('ms') ? 1 : 1000) || 0;
+  const durations = style.transitionDuration.split(',').map(toMs);
+  const delays = style.transitionDelay.split(',').map(toMs);
+  return Math.max(0, ...durations.map((duration, index) => duration + (delays[index % delays.length] || 0)));
+}
+
+/**
+ * Show or hide an expand target, transitioning its height, padding and opacity
+ * A transition still running is reversed from where it is.
+ * @param {HTMLElement} target - The target
+ * @param {boolean} expanded - Whether to show it
+ * @param {boolean} animate - Whether to transition (skipped for reduced motion)
+ */
+function animateExpandTarget(target, expanded, animate) {
+  const running = expandAnimations.has(target);
+  clearTimeout(expandAnimations.get(target));
+  expandAnimations.delete(target);
+  
+  const view = target.ownerDocument.defaultView;
+  const style = view.getComputedStyle(target);
+  const reduceMotion = typeof view.matchMedia === 'function' &&
+    view.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  
+  // Where a reversed transition currently is
+  const current = running ? {
+    height: `${target.getBoundingClientRect().height}px`,
+    paddingTop: style.paddingTop,
+    paddingBottom: style.paddingBottom,
+    opacity: style.opacity
+  } : null;
+  
+  const reset = () => {
+    target.classList.remove('btn-expand-target--animating');
+    Object.assign(target.style, { height: '', paddingTop: '', paddingBottom: '', opacity: '' });
+  };
+  const hide = () => {
+    if (untilFoundTargets.has(target)) {
+      target.setAttribute('hidden', 'until-found');
+    } else {
+      target.hidden = true;
+    }
+  };
+  
+  reset();
+  if (expanded) {
+    if (target.getAttribute('hidden') === 'until-found') {
+      untilFoundTargets.add(target);
+    }
+    target.hidden = false;
+  }
+  
+  if (!animate || reduceMotion || !isElementConnected(target)) {
+    if (!expanded) hide();
+    return;
+  }
+  
+  const open = {
+    height: `${target.getBoundingClientRect().height}px`,
+    paddingTop: style.paddingTop,
+    paddingBottom: style.paddingBottom,
+    opacity: '1'
+  };
+  const closed = { height: '0px', paddingTop: '0px', paddingBottom: '0px', opacity: '0' };
+  
+  // Commit the start state before the transition class applies
+  Object.assign(target.style, current || (expanded ? closed : open));
+  void target.offsetHeight;
+  target.classList.add('btn-expand-target--animating');
+  Object.assign(target.style, expanded ? open : closed);
+  
+  const finish = () => {
+    expandAnimations.delete(target);
+    reset();
+    if (!expanded) hide();
+  };
+  
+  const time = getTransitionTime(target);
+  if (time > 0) {
+    expandAnimations.set(target, setTimeout(finish, time));
+  } else {
+    finish();
+  }
+}
+
+/**
+ * Parse a data-progress value: a fraction ("0.4") or a percentage ("40%")
+ * @param {string|null} value - The attribute value
+ * @returns {number|null} Progress from 0 to 1, or null for indeterminate
+ */
+function parseProgress(value) {
+  const text = (value || '').trim();
+  const parsed = parseFloat(text);
+  if (Number.isNaN(parsed)) return null;
+  
+  return clamp(text.endsWith('%') ? parsed / 100 : parsed, 0, 1);
+}
+
+/**
+ * Parse a non-negative count from attribute
+ * @param {string|null} value - The attribute value
+ * @returns {number} Parsed count, 0 if missing or invalid
+ */
+function parseCount(value) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? 0 : parsed;
+}
+
+/**
+ * Get the value a toggle button or menu item stands for
+ * @param {HTMLElement} button - The toggle button or menu item
+ * @returns {string} data-value, or the trimmed label
+ */
+function getButtonValue(button) {
+  return button.getAttribute(DATA_ATTRS.value) || (button.textContent ? button.textContent.trim() : '');
+}
+
+/**
+ * Read the value a named dropdown submits
+ * @param {HTMLElement} dropdown - The .btn-dropdown element
+ * @returns {string[]} The chosen value, or an empty array
+ */
+function readDropdownValue(dropdown) {
+  const value = dropdown.getAttribute(DATA_ATTRS.value);
+  return value ? [value] : [];
+}
+
+/**
+ * Check if a menu item can take focus and be chosen
+ * @param {HTMLElement} item - The menu item
+ * @returns {boolean} False for disabled or aria-disabled items
+ */
+function isMenuItemEnabled(item) {
+  return isButtonEnabled(item);
+}
+
+/**
+ * Get the submenu a parent item opens
+ * @param {HTMLElement} item - A menu item
+ * @returns {HTMLElement|null} The nested .btn-dropdown__menu, or null for plain items
+ */
+function getSubmenu(item) {
+  const container = item.parentElement;
+  if (!container || !container.matches(SELECTORS.submenu)) return null;
+  
+  return container.querySelector(`:scope > ${SELECTORS.dropdownMenu}`);
+}
+
+/**
+ * Get the item that opens a submenu
+ * @param {HTMLElement} menu - A .btn-dropdown__menu
+ * @returns {HTMLElement|null} The parent item, or null for a top-level menu
+ */
+function getSubmenuParentItem(menu) {
+  const container = menu.parentElement;
+  if (!container || !container.matches(SELECTORS.submenu)) return null;
+  
+  return container.querySelector(`:scope > ${SELECTORS.dropdownItem}`);
+}
+
+/**
+ * Check whether a menu item is a checkbox or radio item
+ * @param {HTMLElement} item - The menu item
+ * @returns {boolean} True for menuitemcheckbox and menuitemradio items
+ */
+function isCheckableItem(item) {
+  return item.matches(SELECTORS.checkableItem);
+}
+
+/**
+ * Get the radio items that are exclusive with a radio item
+ * A set is the nearest role="group" inside the menu, else the menu itself.
+ * @param {HTMLElement} item - A menuitemradio item
+ * @returns {HTMLElement[]} Radio items in the same set, including the item
+ */
+function getRadioSet(item) {
+  const scopeSelector = `[role="group"], ${SELECTORS.dropdownMenu}`;
+  const scope = item.closest(scopeSelector);
+  if (!scope) return [item];
+  
+  return Array.from(scope.querySelectorAll('[role="menuitemradio"]'))
+    .filter(radio => radio.closest(scopeSelector) === scope);
+}
+
+/**
+ * Get the values of every checked item in a menu and its submenus
+ * @param {HTMLElement} menu - The .btn-dropdown__menu element
+ * @returns {string[]} Checked values in document order
+ */
+function getCheckedValues(menu) {
+  return Array.from(menu.querySelectorAll(SELECTORS.checkableItem))
+    .filter(item => item.getAttribute(ARIA.checked) === 'true')
+    .map(getButtonValue);
+}
+
+/**
+ * Check whether toggling an item should leave its menu open
+ * data-keep-open applies from the item, its menu or the dropdown.
+ * @param {HTMLElement} item - The toggled item
+ * @param {HTMLElement} dropdown - The owning dropdown
+ * @returns {boolean} True to keep the menu open
+ */
+function shouldKeepMenuOpen(item, dropdown) {
+  const menu = item.closest(SELECTORS.dropdownMenu);
+  
+  return [item, menu, dropdown].some(element => element && element.hasAttribute(DATA_ATTRS.keepOpen));
+}
+
+/**
+ * Check whether a menu item is hidden, itself or through its submenu or group
+ * @param {HTMLElement} item - The menu item
+ * @returns {boolean} True if the item or an ancestor has the hidden attribute
+ */
+function isItemHidden(item) {
+  return Boolean(item.closest('[hidden]'));
+}
+
+/**
+ * Fold text for case- and diacritic-insensitive matching
+ * Offsets map each folded character back to its index in the original
+ * text (plus a final entry for the end), so matches can be highlighted.
+ * @param {string} text - The text to fold
+ * @returns {{folded: string, offsets: number[]}} Folded text and offsets
+ */
+function foldText(text) {
+  let folded = '';
+  const offsets = [];
+  
+  for (let index = 0; index < text.length;) {
+    const char = String.fromCodePoint(text.codePointAt(index));
+    const base = char.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+    for (let i = 0; i < base.length; i++) {
+      offsets.push(index);
+    }
+    folded += base;
+    index += char.length;
+  }
+  offsets.push(text.length);
+  
+  return { folded, offsets };
+}
+
+/**
+ * Wrap the first match of a folded query in an item's text with a <mark>
+ * Matches are found within single text nodes.
+ * @param {HTMLElement} item - The menu item
+ * @param {string} query - Folded search text
+ */
+function highlightMatch(item, query) {
+  const doc = item.ownerDocument;
+  const walker = doc.createTreeWalker(item, NodeFilter.SHOW_TEXT);
+  
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const { folded, offsets } = foldText(node.data);
+    const index = folded.indexOf(query);
+    if (index === -1) continue;
+    
+    const start = offsets[index];
+    const end = offsets[index + query.length];
+    const matched = node.splitText(start);
+    matched.splitText(end - start);
+    
+    const mark = doc.createElement('mark');
+    mark.className = 'btn-dropdown__match';
+    matched.replaceWith(mark);
+    mark.append(matched);
+    return;
+  }
+}
+
+/**
+ * Remove search highlights from an item, restoring its text nodes
+ * @param {HTMLElement} item - The menu item
+ */
+function clearHighlight(item) {
+  item.querySelectorAll(SELECTORS.searchMatch).forEach(mark => {
+    const parent = mark.parentNode;
+    mark.replaceWith(...mark.childNodes);
+    parent.normalize();
+  });
+}
+
+/**
+ * Normalize an item returned by a menu source
+ * @param {MenuSourceItem|string} item - A string value or an item object
+ * @returns {MenuSourceItem} Item with value, label and disabled set
+ */
+function normalizeSourceItem(item) {
+  if (item === null || typeof item !== 'object') {
+    return { value: String(item), label: String(item), disabled: false };
+  }
+  
+  const value = String(item.value);
+  return {
+    value,
+    label: item.label !== undefined ? String(item.label) : value,
+    disabled: Boolean(item.disabled)
+  };
+}
+
+/**
+ * Find the next enabled item of a menu source from an index
+ * @param {MenuSourceState} state - The menu source state
+ * @param {number} from - Index to start at (inclusive)
+ * @param {1|-1} direction - Search forward or backward
+ * @returns {number} Index of the enabled item, or -1 if none
+ */
+function findSourceIndex(state, from, direction) {
+  for (let index = from; index >= 0 && index < state.items.length; index += direction) {
+    if (!state.items[index].disabled) {
+      return index;
+    }
+  }
+  
+  return -1;
+}
+
+/**
+ * Reflect a select-mode dropdown's value on its items and trigger label
+ * The placeholder comes from data-placeholder, else the trigger's original label.
+ * @param {HTMLElement} dropdown - The .btn-dropdown element
+ */
+function renderDropdownSelection(dropdown) {
+  const trigger = dropdown.querySelector(SELECTORS.dropdownTrigger);
+  const menu = getDropdownMenu(dropdown);
+  if (!trigger || !menu) return;
+  
+  const [value] = readDropdownValue(dropdown);
+  let selected = null;
+  
+  menu.querySelectorAll(SELECTORS.dropdownItem).forEach(item => {
+    const checked = !selected && value !== undefined && getButtonValue(item) === value;
+    if (checked) {
+      selected = item;
+    }
+    item.setAttribute('role', 'menuitemradio');
+    item.setAttribute(ARIA.checked, String(checked));
+  });
+  
+  const label = getDropdownLabel(trigger);
+  if (!dropdownPlaceholders.has(dropdown)) {
+    dropdownPlaceholders.set(dropdown, label.textContent.trim());
+  }
+  
+  label.textContent = selected
+    ? selected.textContent.trim()
+    : dropdown.getAttribute(DATA_ATTRS.placeholder) || dropdownPlaceholders.get(dropdown);
+}
+
+/**
+ * Get the trigger's label element, wrapping its text in one if needed
+ * @param {HTMLElement} trigger - The dropdown trigger
+ * @returns {HTMLElement} The .btn-dropdown__label element
+ */
+function getDropdownLabel(trigger) {
+  let label = trigger.querySelector('.btn-dropdown__label');
+  if (label) return label;
+  
+  label = trigger.ownerDocument.createElement('span');
+  label.className = 'btn-dropdown__label';
+  
+  const text = Array.from(trigger.childNodes)
+    .find(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+  if (text) {
+    label.textContent = text.textContent.trim();
+    text.replaceWith(label);
+  } else {
+    trigger.prepend(label);
+  }
+  
+  return label;
+}
+
+/**
+ * Validate toggle group name for security
+ * @param {string} name - The group name to validate
+ * @returns {boolean} True if valid
+ */
+function isValidGroupName(name) {
+  return VALID_GROUP_NAME.test(name);
+}
+
+/**
+ * Create a null-prototype object for event details (prevents prototype pollution)
+ * @param {Object} props - Properties to add
+ * @returns {Object} Null-prototype object
+ */
+function createEventDetail(props) {
+  return Object.assign(Object.create(null), props);
+}
+
+/**
+ * Find the nearest managed root containing a node
+ * Stops at shadow boundaries: content inside a shadow root belongs only to
+ * an instance bound to that shadow root (or one of its descendants).
+ * @param {Node|null} node - Node to start from
+ * @returns {Node|null} The managed root, or null if none
+ */
+function findManagedRoot(node) {
+  while (node) {
+    if (managedRoots.has(node)) {
+      return node;
+    }
+    node = node.parentNode;
+  }
+  return null;
+}
+
+/**
+ * Get the ButtonSystem instance managing a node
+ * @param {Node} node - The node to look up
+ * @returns {ButtonSystem|null} The managing instance, if any
+ */
+function getManagingSystem(node) {
+  const root = findManagedRoot(node);
+  return root ? managedRoots.get(root) : null;
+}
+
+/**
+ * Check if a value is a node that can act as an instance root
+ * @param {*} root - Candidate root
+ * @returns {boolean} True for Document, Element or ShadowRoot nodes
+ */
+function isValidRoot(root) {
+  return Boolean(root) &&
+    (root.nodeType === Node.DOCUMENT_NODE ||
+     root.nodeType === Node.ELEMENT_NODE ||
+     root.nodeType === Node.DOCUMENT_FRAGMENT_NODE) &&
+    typeof root.querySelectorAll === 'function';
+}
+
+/**
+ * Check if a button can be activated
+ * @param {HTMLElement} button - The button
+ * @returns {boolean} False for disabled or aria-disabled buttons
+ */
+function isButtonEnabled(button) {
+  return !button.disabled && button.getAttribute(ARIA.disabled) !== 'true';
+}
+
+/**
+ * Read a toggle button's pressed state
+ * Buttons in a radio group carry aria-checked instead of aria-pressed.
+ * @param {HTMLElement} button - The toggle button
+ * @returns {boolean} True if pressed
+ */
+function isButtonPressed(button) {
+  const attribute = button.getAttribute('role') === 'radio' ? ARIA.checked : ARIA.pressed;
+  return button.getAttribute(attribute) === 'true';
+}
+
+/**
+ * Set a toggle button's pressed state and selected class
+ * @param {HTMLElement} button - The toggle button
+ * @param {boolean} pressed - New state
+ */
+function setButtonPressed(button, pressed) {
+  const attribute = button.getAttribute('role') === 'radio' ? ARIA.checked : ARIA.pressed;
+  button.setAttribute(attribute, String(pressed));
+  button.classList.toggle('btn--selected', pressed);
+}
+
+/**
+ * Check if element is still in the DOM
+ * @param {HTMLElement} element - Element to check
+ * @returns {boolean} True if element is connected
+ */
+function isElementConnected(element) {
+  return element && element.isConnected;
+}
+
+/* ========================================================================
+ * POSITIONING ENGINE
+ * ========================================================================
+ * Places menus next to their anchor: flips to the opposite side when the
+ * preferred one lacks room, shifts along the anchor to stay inside the
+ * boundary and clamps the height so long menus scroll internally.
+ * All rects are in viewport coordinates.
+ * ======================================================================== */
+
+/**
+ * Parse a placement string such as "bottom-start", "top-end" or "left"
+ * @param {string|null} value - The placement
+ * @param {string} fallback - Placement used when value is invalid
+ * @returns {{side: string, align: string}} Side and alignment ("center" if omitted)
+ */
+function parsePlacement(value, fallback) {
+  const placement = value && VALID_PLACEMENT.test(value) ? value : fallback;
+  const [side, align = 'center'] = placement.split('-');
+  return { side, align };
+}
+
+/**
+ * Compute where a floating element goes next to its anchor
+ * Start/end alignment on top and bottom placements follows the reading
+ * direction; left and right placements are physical.
+ * @param {DOMRect} anchor - The anchor's rect
+ * @param {{width: number, height: number}} size - The floating element's natural size
+ * @param {{top: number, right: number, bottom: number, left: number}} boundary - Area to stay inside
+ * @param {{placement: string, offset: number, rtl: boolean}} options - Preferred placement,
+ *   gap from the anchor and reading direction
+ * @returns {{x: number, y: number, maxHeight: number|null, placement: string}} Viewport
+ *   coordinates, height clamp (null if the element fits) and the placement actually used
+ */
+function computePosition(anchor, size, boundary, options) {
+  const { side, align } = parsePlacement(options.placement, 'bottom-start');
+  const { offset, rtl } = options;
+  const opposite = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+  const space = {
+    top: anchor.top - boundary.top - offset,
+    bottom: boundary.bottom - anchor.bottom - offset,
+    left: anchor.left - boundary.left - offset,
+    right: boundary.right - anchor.right - offset
+  };
+  const vertical = side === 'top' || side === 'bottom';
+  
+  // Flip when the preferred side is too small and the other side has more room
+  let finalSide = side;
+  if (space[side] < (vertical ? size.height : size.width) && space[opposite[side]] > space[side]) {
+    finalSide = opposite[side];
+  }
+  
+  const available = vertical ? space[finalSide] : boundary.bottom - boundary.top;
+  const height = Math.max(0, Math.min(size.height, available));
+  const { width } = size;
+  let x;
+  let y;
+  
+  if (vertical) {
+    y = finalSide === 'bottom' ? anchor.bottom + offset : anchor.top - offset - height;
+    
+    const startX = rtl ? anchor.right - width : anchor.left;
+    const endX = rtl ? anchor.left : anchor.right - width;
+    x = align === 'start' ? startX : align === 'end' ? endX : anchor.left + (anchor.width - width) / 2;
+    x = clamp(x, boundary.left, Math.max(boundary.left, boundary.right - width));
+  } else {
+    x = finalSide === 'right' ? anchor.right + offset : anchor.left - offset - width;
+    
+    y = align === 'start' ? anchor.top : align === 'end' ? anchor.bottom - height : anchor.top + (anchor.height - height) / 2;
+    y = clamp(y, boundary.top, Math.max(boundary.top, boundary.bottom - height));
+  }
+  
+  return {
+    x,
+    y,
+    maxHeight: height < size.height ? height : null,
+    placement: align === 'center' ? finalSide : `${finalSide}-${align}`
+  };
+}
+
+/**
+ * Get the area a menu must stay inside
+ * The viewport, narrowed to the boundary element and, unless the menu is
+ * portaled, to every ancestor that clips overflow.
+ * @param {HTMLElement} anchor - The anchor element
+ * @param {HTMLElement|null} boundary - Optional boundary element
+ * @param {boolean} clipAncestors - Whether overflow ancestors clip the menu
+ * @param {number} padding - Space kept from the edges
+ * @returns {{top: number, right: number, bottom: number, left: number}} The boundary rect
+ */
+function getBoundaryRect(anchor, boundary, clipAncestors, padding) {
+  const doc = anchor.ownerDocument;
+  const view = doc.defaultView;
+  let rect = {
+    top: 0,
+    left: 0,
+    right: doc.documentElement.clientWidth || view.innerWidth,
+    bottom: doc.documentElement.clientHeight || view.innerHeight
+  };
+  
+  const intersect = (other) => {
+    rect = {
+      top: Math.max(rect.top, other.top),
+      left: Math.max(rect.left, other.left),
+      right: Math.min(rect.right, other.right),
+      bottom: Math.min(rect.bottom, other.bottom)
+    };
+  };
+  
+  if (boundary) {
+    intersect(boundary.getBoundingClientRect());
+  }
+  
+  if (clipAncestors) {
+    let node = anchor.parentElement || (anchor.getRootNode().host ?? null);
+    while (node && node !== doc.body && node !== doc.documentElement) {
+      const style = view.getComputedStyle(node);
+      if (style.overflowX !== 'visible' || style.overflowY !== 'visible') {
+        intersect(node.getBoundingClientRect());
+      }
+      node = node.parentElement || (node.getRootNode().host ?? null);
+    }
+  }
+  
+  return {
+    top: rect.top + padding,
+    left: rect.left + padding,
+    right: rect.right - padding,
+    bottom: rect.bottom - padding
+  };
+}
+
+/**
+ * Get the viewport coordinates of an element's containing block origin
+ * Measured from the offset parent, so transforms on the element itself
+ * (such as the menu's reveal animation) don't skew the result.
+ * @param {HTMLElement} element - A positioned element
+ * @returns {{x: number, y: number}} The origin
+ */
+function getContainingOrigin(element) {
+  const doc = element.ownerDocument;
+  const view = doc.defaultView;
+  
+  if (view.getComputedStyle(element).position === 'fixed') {
+    return { x: 0, y: 0 };
+  }
+  
+  let parent = element.offsetParent;
+  if (!parent || (parent === doc.body && view.getComputedStyle(parent).position === 'static')) {
+    parent = doc.documentElement;
+  }
+  
+  const rect = parent.getBoundingClientRect();
+  const scrolls = parent !== doc.documentElement;
+  return {
+    x: rect.left + parent.clientLeft - (scrolls ? parent.scrollLeft : 0),
+    y: rect.top + parent.clientTop - (scrolls ? parent.scrollTop : 0)
+  };
+}
+
+/**
+ * Get a dropdown's menu, wherever it currently lives
+ * @param {HTMLElement} dropdown - The dropdown container
+ * @returns {HTMLElement|null} The top-level menu
+ */
+function getDropdownMenu(dropdown) {
+  const portal = portaledMenus.get(dropdown);
+  return portal ? portal.menu : dropdown.querySelector(SELECTORS.dropdownMenu);
+}
+
+/**
+ * Get the element that opened a dropdown's menu
+ * A context menu's target stands in for the trigger.
+ * @param {HTMLElement} dropdown - The dropdown container or context menu target
+ * @returns {HTMLElement|null} The trigger
+ */
+function getDropdownTrigger(dropdown) {
+  return openContextMenus.has(dropdown) ? dropdown : dropdown.querySelector(SELECTORS.dropdownTrigger);
+}
+
+/**
+ * Find the nearest element with an attached context menu
+ * @param {Element} element - Element the event started on
+ * @returns {HTMLElement|null} The context menu target
+ */
+function findContextTarget(element) {
+  for (let node = element; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+    if (contextMenuAttachments.has(node) || node.hasAttribute(DATA_ATTRS.contextMenu)) {
+      return node;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the dropdown an element belongs to, following portaled menus home
+ * @param {Element} element - An element
+ * @returns {HTMLElement|null} The dropdown container
+ */
+function getOwningDropdown(element) {
+  if (!element.closest) return null;
+  
+  const portaled = element.closest(SELECTORS.portalMenu);
+  if (portaled && portalOwners.has(portaled)) {
+    return portalOwners.get(portaled);
+  }
+  
+  return element.closest(SELECTORS.dropdown);
+}
+
+/**
+ * ==========================================================================
+ * ButtonSystem Class
+ * ==========================================================================
+ * Main controller for all button behaviors in the design system.
+ * Each instance manages one root (the document by default). A root can be
+ * claimed by only one instance at a time; nested roots are handled by the
+ * innermost instance, so several instances coexist without double-handling.
+ * 
+ * @example
+ * // System auto-initializes on script load
+ * // Access via global: window.buttonSystem
+ * // (skip it with <script src="script.js" data-manual-init>)
+ * 
+ * // Programmatic usage:
+ * await buttonSystem.setLoading(button, 2000);
+ * buttonSystem.setPressed(button, true);
+ * await buttonSystem.runAction(button, () => fetch('/api/save'));
+ * 
+ * // With Spanish messages (load the script with data-manual-init):
+ * const system = new ButtonSystem({
+ *   locale: 'es-MX',
+ *   messages: {
+ *     es: {
+ *       loading: 'Cargando {name}...',
+ *       results: { one: '{count} resultado', other: '{count} resultados' }
+ *     }
+ *   }
+ * });
+ * 
+ * // Scoped to a web component's shadow root:
+ * const scoped = new ButtonSystem({ root: this.shadowRoot });
+ * 
+ * // Longer loading cap and a slower announcer:
+ * const system = new ButtonSystem({ defaults: { maxDuration: 120000, announceDelay: 400 } });
+ * ==========================================================================
+ */
+class ButtonSystem {
+  /**
+   * Initialize the button system
+   * @param {ButtonSystemOptions} [options={}] - Configuration options
+   * @throws {TypeError} If root is not a Document, Element or ShadowRoot
+   */
+  constructor(options = {}) {
+    const { 
+      autoInit = true,
+      root = document,
+      locale,
+      fallbackLocales,
+      messages,
+      i18n,
+      announceState,
+      legacyEvents,
+      defaults,
+      debug = false
+    } = options;
+    
+    if (!isValidRoot(root)) {
+      throw new TypeError('ButtonSystem: root must be a Document, Element or ShadowRoot');
+    }
+    
+    /** @type {Document|Element|ShadowRoot} */
+    this._root = root;
+    
+    // Store configuration; configure() replaces it as a whole
+    const browserLocale = typeof navigator !== 'undefined' ? canonicalizeLocale(navigator.language) : null;
+    const initialLocale = getDeclaredLocale(root) || browserLocale || 'en';
+    this._config = Object.freeze({
+      locale: initialLocale,
+      fallbackLocales: Object.freeze([]),
+      localeChain: Object.freeze(getLocaleChain(initialLocale, [])),
+      messages: Object.freeze({}),
+      i18n: Object.freeze({}),
+      defaults: DEFAULTS,
+      announceState: false,
+      legacyEvents: false,
+      debug: Boolean(debug)
+    });
+    this.configure({ locale, fallbackLocales, messages, i18n, announceState, legacyEvents, defaults });
+    
+    // Track initialization state
+    this._initialized = false;
+    
+    // AbortController for cleanup
+    this._abortController = null;
+    
+    // Bound handlers for proper cleanup
+    this._handleEvent = this._handleEvent.bind(this);
+    this._handleKeydown = this._handleKeydown.bind(this);
+    
+    // Announcer owning the live regions, created by init()
+    this._announcer = null;
+    
+    // Open dropdowns set for efficient tracking
+    this._openDropdowns = new Set();
+    
+    // Split button controllers created by init()
+    this._splitControllers = [];
+    
+    // Named actions for declarative data-action buttons
+    this._actions = new Map();
+    
+    // Buttons bound to each normalized keyboard shortcut
+    this._shortcuts = new Map();
+    
+    // Listeners added through on(), removed again by destroy()
+    this._subscriptions = new Set();
+    
+    // Form fields for named toggle groups and dropdowns, keyed by host
+    this._formFields = new Map();
+    
+    // data-confirm="hold" button being pressed
+    this._heldButton = null;
+    
+    // Pending hover-intent timer for submenus
+    this._hoverTimer = null;
+    
+    // Listeners and observers keeping open menus positioned, keyed by menu
+    this._positioners = new Map();
+    
+    // Watches the root for added and removed components
+    this._observer = null;
+    
+    // Initialize when DOM is ready
+    if (autoInit) {
+      if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => this.init(), { once: true });
+      } else {
+        this.init();
+      }
+    }
+  }
+  
+  /**
+   * Check if system is initialized
+   * @public
+   * @returns {boolean} Initialization state
+   */
+  get initialized() {
+    return this._initialized;
+  }
+  
+  /**
+   * The root node this instance manages
+   * @public
+   * @returns {Document|Element|ShadowRoot} The root
+   */
+  get root() {
+    return this._root;
+  }
+  
+  /**
+   * Initialize all button behaviors
+   * Attaches event listeners using event delegation
+   * @public
+   * @returns {ButtonSystem} Returns this for chaining
+   * @throws {Error} If another instance already manages the root
+   */
+  init() {
+    if (this._initialized) {
+      return this;
+    }
+    
+    const owner = managedRoots.get(this._root);
+    if (owner && owner !== this) {
+      throw new Error('ButtonSystem: root is already managed by another instance');
+    }
+    managedRoots.set(this._root, this);
+    
+    // Create AbortController for cleanup
+    this._abortController = new AbortController();
+    const { signal } = this._abortController;
+    
+    // Single consolidated event handler using event delegation
+    this._root.addEventListener('click', this._handleEvent, { signal });
+    this._root.addEventListener('keydown', this._handleKeydown, { signal });
+    this._root.addEventListener('reset', (event) => this._handleFormReset(event), { signal });
+    this._root.addEventListener('pointerover', (event) => this._handleMenuHover(event), { signal });
+    this._root.addEventListener('contextmenu', (event) => this._handleContextMenu(event), { signal });
+    this._root.addEventListener('input', (event) => this._handleSearchInput(event), { signal });
+    this._root.addEventListener('scroll', (event) => this._handleMenuScroll(event), { signal, capture: true });
+    this._root.addEventListener('beforematch', (event) => this._handleBeforeMatch(event), { signal, capture: true });
+    this._root.addEventListener('pointerdown', (event) => this._handleHoldStart(event), { signal });
+    this._root.addEventListener('keyup', (event) => this._handleHoldEnd(event), { signal });
+    this._root.addEventListener('pointerout', (event) => this._handleHoldEnd(event), { signal });
+    this._root.addEventListener('focusout', (event) => this._handleHoldEnd(event), { signal });
+    this._getDocument().addEventListener('pointerup', (event) => this._handleHoldEnd(event), { signal });
+    this._getDocument().addEventListener('pointercancel', (event) => this._handleHoldEnd(event), { signal });
+    
+    // Clicks outside a scoped root never reach it, so watch the document too
+    const doc = this._getDocument();
+    if (this._root !== doc) {
+      doc.addEventListener('click', (event) => {
+        if (!event.composedPath().includes(this._root)) {
+          this._closeAllDropdowns();
+        }
+      }, { signal });
+    }
+    
+    // Initialize all dropdowns as closed
+    this._closeAllDropdowns();
+    
+    // Set up every component already in the root
+    this._initComponents(this._root);
+    
+    // Create live regions for announcements
+    this._createAnnouncer();
+    
+    // Set up components added later and release removed ones
+    this._observeRoot();
+    
+    this._initialized = true;
+    
+    return this;
+  }
+  
+  /**
+   * Cleanup and destroy the button system
+   * Removes all event listeners and cleans up state
+   * @public
+   */
+  destroy() {
+    if (!this._initialized) {
+      return;
+    }
+    
+    // Abort all event listeners
+    if (this._abortController) {
+      this._abortController.abort();
+      this._abortController = null;
+    }
+    
+    // Stop watching the root
+    if (this._observer) {
+      this._observer.disconnect();
+      this._observer = null;
+    }
+    
+    // Drop queued announcements and remove the live regions
+    if (this._announcer) {
+      this._announcer.destroy();
+      this._announcer = null;
+    }
+    
+    // Close open dropdowns, returning portaled menus and stopping their positioning
+    this._closeAllDropdowns();
+    
+    clearTimeout(this._hoverTimer);
+    this._hoverTimer = null;
+    
+    // Destroy split button controllers created by init()
+    this._splitControllers.forEach(controller => controller.destroy());
+    this._splitControllers = [];
+    
+    // Remove generated form inputs
+    this._formFields.forEach(field => {
+      if (field.wrapper) {
+        field.wrapper.remove();
+      }
+    });
+    this._formFields.clear();
+    
+    // Remove listeners added through on()
+    this._subscriptions.forEach(subscription => {
+      subscription.root.removeEventListener(subscription.type, subscription.handler);
+    });
+    this._subscriptions.clear();
+    
+    // Forget keyboard shortcuts
+    this._shortcuts.forEach(buttons => buttons.forEach(button => buttonShortcuts.delete(button)));
+    this._shortcuts.clear();
+    
+    // Release the root for other instances
+    if (managedRoots.get(this._root) === this) {
+      managedRoots.delete(this._root);
+    }
+    
+    this._initialized = false;
+  }
+  
+  /* ========================================================================
+   * COMPONENT LIFECYCLE
+   * ========================================================================
+   * A MutationObserver on the root sets up components inserted after
+   * init() (dropdowns, menus, split buttons, toggle groups, form fields),
+   * drops the item cache of menus whose children change and releases
+   * timers, open menus and state of removed elements right away.
+   * ======================================================================== */
+  
+  /**
+   * Set up every component in a subtree
+   * Each step is idempotent, so a subtree may be set up more than once.
+   * @private
+   * @param {Node} scope - The root or an inserted element
+   */
+  _initComponents(scope) {
+    // Dropdowns start closed
+    this._initDropdowns(scope);
+    
+    // Link submenu parent items to their menus
+    this._initSubmenus(scope);
+    
+    // Label menu groups and give checkable items a checked state
+    this._initMenuItems(scope);
+    
+    // Show the chosen option (or placeholder) on select-mode triggers
+    this._queryAround(`${SELECTORS.dropdown}[${DATA_ATTRS.select}]`, scope).forEach(renderDropdownSelection);
+    
+    // Wire split buttons not already controlled elsewhere
+    this._initSplitButtons(scope);
+    
+    // Apply composite roles and a single tab stop per group
+    this._initComposites(scope);
+    
+    // Mirror named toggle groups and dropdowns into form inputs
+    this._initFormFields(scope);
+    
+    // Restore persisted expand/collapse state
+    this._initExpanders(scope);
+    
+    // Resume persisted auto-disable periods
+    this._initAutoDisable(scope);
+    
+    // Show progress declared with data-progress
+    this._initProgress(scope);
+    
+    // Bind shortcuts declared with data-shortcut
+    this._initShortcuts(scope);
+  }
+  
+  /**
+   * Mark dropdowns that are not open as collapsed
+   * @private
+   * @param {Node} scope - Subtree to set up
+   */
+  _initDropdowns(scope) {
+    this._queryAll(SELECTORS.dropdown, scope).forEach(dropdown => {
+      if (this._openDropdowns.has(dropdown)) return;
+      
+      const trigger = getDropdownTrigger(dropdown);
+      if (trigger) {
+        trigger.setAttribute(ARIA.expanded, 'false');
+      }
+      dropdown.setAttribute(ARIA.expanded, 'false');
+    });
+  }
+  
+  /**
+   * Start observing the root for inserted and removed elements
+   * @private
+   */
+  _observeRoot() {
+    if (typeof MutationObserver === 'undefined') return;
+    
+    this._observer = new MutationObserver(records => this._handleMutations(records));
+    this._observer.observe(this._root, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: [DATA_ATTRS.progress]
+    });
+  }
+  
+  /**
+   * Handle a batch of root mutations
+   * Moved elements appear as removed and added; they are set up again
+   * rather than released.
+   * @private
+   * @param {MutationRecord[]} records - The mutation records
+   */
+  _handleMutations(records) {
+    const added = new Set();
+    const removed = new Set();
+    const progressed = new Set();
+    
+    records.forEach(record => {
+      if (record.type === 'attributes') {
+        progressed.add(record.target);
+        return;
+      }
+      
+      // Any child change inside a menu may change its items
+      const menu = record.target.closest ? record.target.closest(SELECTORS.dropdownMenu) : null;
+      if (menu) {
+        dropdownItemCache.delete(menu);
+      }
+      
+      record.removedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          removed.add(node);
+        }
+      });
+      record.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          added.add(node);
+        }
+      });
+    });
+    
+    removed.forEach(node => {
+      if (!node.isConnected) {
+        this._releaseSubtree(node);
+      }
+    });
+    
+    added.forEach(node => {
+      if (node.isConnected && this._ownsElement(node)) {
+        this._initComponents(node);
+      }
+    });
+    
+    progressed.forEach(button => {
+      if (button.isConnected && this._ownsElement(button)) {
+        this._syncProgressAttribute(button);
+      }
+    });
+  }
+  
+  /**
+   * Release everything held for elements in a removed subtree
+   * Open menus close (returning portaled ones), pending timers are
+   * cancelled and per-element state is dropped.
+   * @private
+   * @param {Element} node - The removed element
+   */
+  _releaseSubtree(node) {
+    const within = selector => [
+      ...(node.matches(selector) ? [node] : []),
+      ...node.querySelectorAll(selector)
+    ];
+    
+    this._openDropdowns.forEach(dropdown => {
+      const menu = getDropdownMenu(dropdown);
+      if (node.contains(dropdown) || (menu && node.contains(menu))) {
+        this._closeDropdown(dropdown);
+      }
+    });
+    
+    within(SELECTORS.button).forEach(button => {
+      clearButtonTimers(button);
+      settleLoading(button);
+      clearTimeout(confirmStates.get(button)?.timer);
+      disableStates.get(button)?.release?.();
+      confirmStates.delete(button);
+      disableStates.delete(button);
+      progressStates.delete(button);
+      this._releaseShortcuts(button);
+      buttonOriginalContent.delete(button);
+      buttonActionState.delete(button);
+    });
+    
+    within(SELECTORS.dropdown).forEach(dropdown => {
+      const typeahead = menuTypeahead.get(dropdown);
+      if (typeahead) {
+        clearTimeout(typeahead.timer);
+        menuTypeahead.delete(dropdown);
+      }
+      
+      // Results of a load still in flight are dropped
+      const source = menuSources.get(dropdown);
+      if (source) {
+        clearTimeout(source.debounce);
+        source.debounce = null;
+        source.request += 1;
+        source.status = 'idle';
+      }
+    });
+    
+    this._splitControllers = this._splitControllers.filter(controller => {
+      if (!node.contains(controller.element)) return true;
+      
+      controller.destroy();
+      return false;
+    });
+    
+    this._formFields.forEach((field, host) => {
+      if (node.contains(host)) {
+        field.wrapper.remove();
+        this._formFields.delete(host);
+      }
+    });
+  }
+  
+  /**
+   * Create controllers for split buttons in the root
+   * @private
+   * @param {Node} [scope=this._root] - Subtree to set up
+   */
+  _initSplitButtons(scope = this._root) {
+    this._queryAll(SELECTORS.split, scope).forEach(element => {
+      if (!splitButtonControllers.has(element)) {
+        this._splitControllers.push(new SplitButtonController(element, { system: this }));
+      }
+    });
+  }
+  
+  /* ========================================================================
+   * PRIVATE: Event Handlers
+   * ======================================================================== */
+  
+  /**
+   * Consolidated event handler - handles both click and outside click
+   * @private
+   * @param {MouseEvent} event - Click event
+   */
+  _handleEvent(event) {
+    const target = event.target;
+    
+    // Handle clicks outside dropdowns first
+    if (!getOwningDropdown(target)) {
+      this._closeAllDropdowns();
+    }
+    
+    // Leave events from nested roots to the instance that owns them
+    if (!this._ownsElement(target)) return;
+    
+    // Find the button element
+    const button = target.closest(SELECTORS.button);
+    if (!button) return;
+    
+    // Check for disabled state
+    if (button.disabled || button.getAttribute(ARIA.disabled) === 'true') {
+      event.preventDefault();
+      event.stopPropagation();
+      return;
+    }
+    
+    // Unconfirmed clicks on data-confirm buttons go no further
+    if (getConfirmMode(button) && !this._handleConfirmClick(button, event)) {
+      return;
+    }
+    
+    // Clicked group items become the group's tab stop
+    const composite = this._getComposite(button);
+    if (composite) {
+      this._setTabStop(composite, button);
+    }
+    
+    // Handle toggle buttons
+    if (button.hasAttribute(DATA_ATTRS.toggle)) {
+      this._handleToggle(button);
+    }
+    
+    // Handle async action buttons (these manage their own loading state)
+    const actionState = buttonActionState.get(button);
+    if (button.hasAttribute(DATA_ATTRS.action) || (actionState && actionState.awaitingRetry)) {
+      this._handleAction(button, event);
+    } else if (button.hasAttribute(DATA_ATTRS.loadingText)) {
+      // Handle loading buttons
+      this._handleLoading(button, event);
+    }
+    
+    // Handle auto-disable buttons
+    if (button.hasAttribute(DATA_ATTRS.autoDisable)) {
+      this._handleAutoDisable(button);
+    }
+    
+    // Handle dropdown triggers
+    const dropdown = getOwningDropdown(button);
+    if (dropdown) {
+      this._handleDropdown(button, dropdown, event);
+    }
+    
+    // Handle expand/collapse buttons
+    if (button.classList.contains('btn-expand')) {
+      this._handleExpand(button);
+    }
+  }
+  
+  /**
+   * Keyboard event handler
+   * @private
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  _handleKeydown(event) {
+    const target = event.target;
+    
+    if (!this._ownsElement(target)) return;
+    
+    // Shift+F10 and the ContextMenu key open an attached context menu
+    if ((event.key === KEYS.F10 && event.shiftKey) || event.key === KEYS.CONTEXT_MENU) {
+      const contextTarget = findContextTarget(target);
+      if (contextTarget && this._openContextMenu(contextTarget, null)) {
+        event.preventDefault();
+        return;
+      }
+    }
+    
+    // Holding Space or Enter confirms data-confirm="hold" buttons
+    if (this._handleHoldKeydown(event)) {
+      return;
+    }
+    
+    // Handle dropdown keyboard navigation
+    const dropdown = getOwningDropdown(target);
+    if (dropdown) {
+      // A split button's main half is a plain button; its controller handles Alt+ArrowDown
+      if (!target.matches(SELECTORS.splitMain)) {
+        this._handleDropdownKeyboard(event, dropdown);
+      }
+    } else if (this._handleCompositeKeydown(event)) {
+      // Arrow/Home/End navigation within toggle groups and toolbars
+      return;
+    }
+    
+    // data-shortcut and bindShortcut() combos get the keys components left alone
+    if (this._handleShortcut(event) || dropdown) {
+      return;
+    }
+    
+    // Prevent scroll on Space for toggle buttons
+    if (target.hasAttribute && target.hasAttribute(DATA_ATTRS.toggle) && event.key === KEYS.SPACE) {
+      event.preventDefault();
+    }
+  }
+  
+  /* ========================================================================
+   * TOGGLE BUTTON HANDLER
+   * ========================================================================
+   * Manages aria-pressed state for toggle buttons.
+   * Supports single toggles, exclusive (radio-like) groups and
+   * data-toggle-mode="multiple" groups with min/max limits.
+   * ======================================================================== */
+  
+  /**
+   * Handle toggle button click
+   * @private
+   * @param {HTMLElement} button - The toggle button element
+   */
+  _handleToggle(button) {
+    const toggleGroup = button.getAttribute(DATA_ATTRS.toggleGroup);
+    
+    if (toggleGroup) {
+      // Validate group name to prevent selector injection
+      if (!isValidGroupName(toggleGroup)) {
+        return;
+      }
+      
+      this._handleGroupToggle(button, toggleGroup);
+      return;
+    }
+    
+    // Standard toggle behavior, unless a listener cancels it
+    const pressed = !isButtonPressed(button);
+    if (!this._dispatchEvent(button, EVENTS.beforeToggle, createEventDetail({
+      pressed,
+      group: null,
+      oldValue: null,
+      newValue: null
+    }))) {
+      return;
+    }
+    
+    setButtonPressed(button, pressed);
+    
+    // Dispatch custom event for external listeners
+    this._dispatchEvent(button, EVENTS.toggle, createEventDetail({ pressed }));
+    this._announceState(button, pressed ? 'toggleOn' : 'toggleOff');
+  }
+  
+  /**
+   * Toggle a button within its group, honoring mode and min/max limits
+   * @private
+   * @param {HTMLElement} button - The clicked toggle button
+   * @param {string} groupName - Validated group name
+   */
+  _handleGroupToggle(button, groupName) {
+    const config = this._getToggleGroupConfig(groupName);
+    const wasPressed = isButtonPressed(button);
+    const pressedCount = config.buttons.filter(isButtonPressed).length;
+    
+    if (config.multiple) {
+      // Refuse changes that would leave the group outside its limits
+      if (wasPressed && pressedCount <= config.min) return;
+      if (!wasPressed && config.max > 0 && pressedCount >= config.max) return;
+    } else if (wasPressed && !config.deselectable) {
+      // Radio-like behavior - the pressed button stays pressed
+      return;
+    }
+    
+    const oldValue = this._readGroupValue(config.buttons);
+    const changed = [button];
+    
+    // Listeners may cancel the change before any button flips
+    const releasesOthers = !config.multiple && !wasPressed;
+    const newValue = config.buttons
+      .filter(btn => (btn === button ? !wasPressed : !releasesOthers && isButtonPressed(btn)))
+      .map(getButtonValue);
+    if (!this._dispatchEvent(button, EVENTS.beforeToggle, createEventDetail({
+      pressed: !wasPressed,
+      group: groupName,
+      oldValue,
+      newValue
+    }))) {
+      return;
+    }
+    
+    // Exclusive groups release every other button
+    if (releasesOthers) {
+      config.buttons.forEach(btn => {
+        if (btn !== button && isButtonPressed(btn)) {
+          setButtonPressed(btn, false);
+          changed.push(btn);
+        }
+      });
+    }
+    
+    setButtonPressed(button, !wasPressed);
+    
+    this._emitGroupChange(config, changed, oldValue, button);
+    this._announceState(button, wasPressed ? 'toggleOff' : 'toggleOn');
+  }
+  
+  /**
+   * Resolve a toggle group's mode and limits
+   * Attributes are read from the shared .btn-group first, then any button.
+   * @private
+   * @param {string} groupName - Validated group name
+   * @returns {ToggleGroupConfig} The group configuration
+   */
+  _getToggleGroupConfig(groupName) {
+    const buttons = this._getToggleGroupButtons(groupName);
+    const container = buttons.length > 0 ? buttons[0].closest(SELECTORS.group) : null;
+    
+    const read = (attribute) => {
+      if (container && container.hasAttribute(attribute)) {
+        return container.getAttribute(attribute);
+      }
+      const owner = buttons.find(btn => btn.hasAttribute(attribute));
+      return owner ? owner.getAttribute(attribute) : null;
+    };
+    
+    return {
+      buttons,
+      container,
+      multiple: read(DATA_ATTRS.toggleMode) === 'multiple',
+      deselectable: read(DATA_ATTRS.toggleDeselectable) !== null,
+      min: parseCount(read(DATA_ATTRS.toggleMin)),
+      max: parseCount(read(DATA_ATTRS.toggleMax)),
+      name: read('name') || null,
+      required: read('required') !== null
+    };
+  }
+  
+  /**
+   * Read the values of the pressed buttons in a group
+   * @private
+   * @param {HTMLElement[]} buttons - Group buttons
+   * @returns {string[]} Values in document order
+   */
+  _readGroupValue(buttons) {
+    return buttons.filter(isButtonPressed).map(getButtonValue);
+  }
+  
+  /**
+   * Set toggle state for an entire group, for setGroupValue() and form reset
+   * @private
+   * @param {string} groupName - The toggle group name
+   * @param {string[]|string|HTMLElement|null} values - Values to press, or a single button
+   * @param {Object} [options={}] - Set options
+   * @param {boolean} [options.restoring=false] - Restoring the initial value on form reset,
+   *   which may leave fewer values pressed than the group otherwise allows
+   */
+  _setGroupValue(groupName, values, { restoring = false } = {}) {
+    if (!isValidGroupName(groupName)) return;
+    
+    const config = this._getToggleGroupConfig(groupName);
+    const oldValue = this._readGroupValue(config.buttons);
+    
+    let selected;
+    if (values instanceof HTMLElement) {
+      selected = config.buttons.filter(btn => btn === values);
+    } else {
+      const wanted = (Array.isArray(values) ? values : [values])
+        .filter(value => value !== null && value !== undefined)
+        .map(String);
+      selected = config.buttons.filter(btn => wanted.includes(getButtonValue(btn)));
+    }
+    
+    const limit = config.multiple ? config.max : 1;
+    if (limit > 0 && selected.length > limit) {
+      warnOption(this._config.debug, `setGroupValue: group "${groupName}" allows ${limit} value(s); ` +
+        `keeping the first ${limit}`);
+      selected = selected.slice(0, limit);
+    }
+    
+    // A reset restores the markup state, whatever the limits say
+    if (!restoring && config.multiple && selected.length < config.min) {
+      warnOption(this._config.debug, `setGroupValue: group "${groupName}" needs at least ${config.min} value(s); ` +
+        'leaving it unchanged');
+      return;
+    }
+    
+    if (!restoring && !config.multiple && !config.deselectable && selected.length === 0) {
+      warnOption(this._config.debug, `setGroupValue: group "${groupName}" must keep a value pressed; ` +
+        'leaving it unchanged');
+      return;
+    }
+    
+    const changed = config.buttons.filter(btn => isButtonPressed(btn) !== selected.includes(btn));
+    if (changed.length === 0) return;
+    
+    changed.forEach(btn => setButtonPressed(btn, selected.includes(btn)));
+    
+    if (selected.length > 0) {
+      const composite = this._getComposite(selected[0]);
+      if (composite) {
+        this._setTabStop(composite, selected[0]);
+      }
+    }
+    
+    this._emitGroupChange(config, changed, oldValue, selected[0]);
+  }
+  
+  /**
+   * Dispatch ds:toggle events for changed buttons and one ds:groupchange event
+   * @private
+   * @param {ToggleGroupConfig} config - The group configuration
+   * @param {HTMLElement[]} changed - Buttons whose state changed
+   * @param {string[]} oldValue - Group value before the change
+   * @param {HTMLElement} [source] - Button that caused the change
+   */
+  _emitGroupChange(config, changed, oldValue, source) {
+    changed.forEach(btn => {
+      this._dispatchEvent(btn, EVENTS.toggle, createEventDetail({ pressed: isButtonPressed(btn) }));
+    });
+    
+    const target = config.container || source || config.buttons[0];
+    if (!target) return;
+    
+    const field = this._formFields.get(config.container || config.buttons[0]);
+    if (field) {
+      this._syncFormField(field);
+    }
+    
+    this._dispatchEvent(target, EVENTS.groupChange, createEventDetail({
+      group: config.buttons[0] ? config.buttons[0].getAttribute(DATA_ATTRS.toggleGroup) : null,
+      oldValue,
+      newValue: this._readGroupValue(config.buttons)
+    }));
+  }
+  
+  /**
+   * Get the buttons of a toggle group within the root
+   * @private
+   * @param {string} groupName - Validated group name
+   * @returns {HTMLElement[]} Group buttons in document order
+   */
+  _getToggleGroupButtons(groupName) {
+    return this._queryAll(`[${DATA_ATTRS.toggleGroup}="${CSS.escape(groupName)}"]`);
+  }
+  
+  /* ========================================================================
+   * ROVING TABINDEX / COMPOSITE NAVIGATION
+   * ========================================================================
+   * Each .btn-group (toolbar) or toggle group (radiogroup) is a single
+   * Tab stop. Arrow keys move focus between its buttons, honoring
+   * aria-orientation and flipping left/right in RTL.
+   * ======================================================================== */
+  
+  /**
+   * Apply roles and roving tabindex to every group in the root
+   * @private
+   * @param {Node} [scope=this._root] - Subtree to set up
+   */
+  _initComposites(scope = this._root) {
+    this._queryAround(SELECTORS.group, scope).forEach(container => {
+      const composite = this._describeComposite(container, this._getCompositeItems(container));
+      this._applyCompositeSemantics(composite);
+    });
+    
+    // Toggle groups without a .btn-group container still get one tab stop
+    const seenGroups = new Set();
+    this._queryAll(`[${DATA_ATTRS.toggleGroup}]`, scope).forEach(button => {
+      const groupName = button.getAttribute(DATA_ATTRS.toggleGroup);
+      if (seenGroups.has(groupName) || button.closest(SELECTORS.group) || !isValidGroupName(groupName)) {
+        return;
+      }
+      seenGroups.add(groupName);
+      
+      this._applyCompositeSemantics(this._describeComposite(null, this._getToggleGroupButtons(groupName)));
+    });
+  }
+  
+  /**
+   * Get navigable buttons inside a group container
+   * Buttons inside dropdown menus belong to the menu, not the group.
+   * @private
+   * @param {HTMLElement} container - The .btn-group element
+   * @returns {HTMLElement[]} Group items
+   */
+  _getCompositeItems(container) {
+    return Array.from(container.querySelectorAll(SELECTORS.button))
+      .filter(item => !item.closest(SELECTORS.dropdownMenu));
+  }
+  
+  /**
+   * Describe the composite formed by a container or a set of buttons
+   * @private
+   * @param {HTMLElement|null} container - The .btn-group, if any
+   * @param {HTMLElement[]} items - Group items
+   * @returns {Composite} The composite description
+   */
+  _describeComposite(container, items) {
+    const groupNames = new Set(items.map(item => item.getAttribute(DATA_ATTRS.toggleGroup)));
+    const groupName = groupNames.size === 1 ? groupNames.values().next().value : null;
+    let exclusive = false;
+    let deselectable = false;
+    
+    if (items.length > 0 && groupName && isValidGroupName(groupName)) {
+      const config = this._getToggleGroupConfig(groupName);
+      exclusive = !config.multiple;
+      deselectable = config.deselectable;
+    }
+    
+    return {
+      container,
+      items,
+      exclusive,
+      isRadio: exclusive && !deselectable,
+      orientation: (container && container.getAttribute(ARIA.orientation)) || 'horizontal',
+      followFocus: container
+        ? container.hasAttribute(DATA_ATTRS.followFocus)
+        : items.some(item => item.hasAttribute(DATA_ATTRS.followFocus))
+    };
+  }
+  
+  /**
+   * Find the composite an element navigates within
+   * @private
+   * @param {HTMLElement} element - A button
+   * @returns {Composite|null} The composite, or null if not grouped
+   */
+  _getComposite(element) {
+    if (!element.closest || element.closest(SELECTORS.dropdownMenu)) {
+      return null;
+    }
+    
+    const container = element.closest(SELECTORS.group);
+    if (container && this._ownsElement(container)) {
+      return this._describeComposite(container, this._getCompositeItems(container));
+    }
+    
+    const groupName = element.getAttribute(DATA_ATTRS.toggleGroup);
+    if (groupName && isValidGroupName(groupName)) {
+      return this._describeComposite(null, this._getToggleGroupButtons(groupName));
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Apply toolbar or radiogroup roles and the initial tab stop
+   * Explicit roles other than "group" are left untouched. A radio-like
+   * toggle group without a .btn-group uses its buttons' shared parent as
+   * the radiogroup.
+   * @private
+   * @param {Composite} composite - The composite
+   */
+  _applyCompositeSemantics(composite) {
+    const { container, items, isRadio } = composite;
+    
+    if (container) {
+      const role = container.getAttribute('role');
+      if (!role || role === 'group') {
+        container.setAttribute('role', isRadio ? 'radiogroup' : 'toolbar');
+      }
+    } else if (isRadio && items.length > 0) {
+      const parent = items[0].parentElement;
+      if (parent && parent !== parent.ownerDocument.body && items.every(item => item.parentElement === parent)) {
+        const role = parent.getAttribute('role');
+        if (!role || role === 'group') {
+          parent.setAttribute('role', 'radiogroup');
+        }
+      } else {
+        warnOption(this._config.debug, `toggle group "${items[0].getAttribute(DATA_ATTRS.toggleGroup)}" ` +
+          'has no shared parent to hold role="radiogroup"; wrap it in .btn-group');
+      }
+    }
+    
+    if (isRadio) {
+      items.forEach(item => {
+        const pressed = isButtonPressed(item);
+        item.setAttribute('role', 'radio');
+        item.removeAttribute(ARIA.pressed);
+        setButtonPressed(item, pressed);
+      });
+    }
+    
+    this._setTabStop(composite, this._getInitialTabStop(composite));
+  }
+  
+  /**
+   * Pick the item that should hold the tab stop initially
+   * @private
+   * @param {Composite} composite - The composite
+   * @returns {HTMLElement|undefined} Selected, current or first enabled item
+   */
+  _getInitialTabStop(composite) {
+    const enabled = composite.items.filter(item => !item.disabled);
+    
+    return enabled.find(item => item.hasAttribute(DATA_ATTRS.toggle) && isButtonPressed(item)) ||
+      enabled.find(item => item.getAttribute('tabindex') === '0') ||
+      enabled[0];
+  }
+  
+  /**
+   * Make one item the composite's only tab stop
+   * @private
+   * @param {Composite} composite - The composite
+   * @param {HTMLElement} [activeItem] - Item receiving tabindex="0"
+   */
+  _setTabStop(composite, activeItem) {
+    if (!activeItem) return;
+    
+    composite.items.forEach(item => {
+      item.setAttribute('tabindex', item === activeItem ? '0' : '-1');
+    });
+  }
+  
+  /**
+   * Handle arrow, Home and End keys within a composite
+   * @private
+   * @param {KeyboardEvent} event - The keyboard event
+   * @returns {boolean} True if the key was handled
+   */
+  _handleCompositeKeydown(event) {
+    const composite = this._getComposite(event.target);
+    if (!composite) return false;
+    
+    const items = composite.items.filter(item => !item.disabled);
+    const index = items.indexOf(event.target);
+    if (index === -1 || items.length < 2) return false;
+    
+    // Radio groups accept both axes; toolbars only their own orientation
+    const horizontal = composite.isRadio || composite.orientation !== 'vertical';
+    const vertical = composite.isRadio || composite.orientation === 'vertical';
+    const isRTL = this._isRTL(composite.container || event.target);
+    let nextIndex;
+    
+    switch (event.key) {
+      case KEYS.ARROW_RIGHT:
+      case KEYS.ARROW_LEFT:
+        if (!horizontal) return false;
+        nextIndex = index + ((event.key === KEYS.ARROW_RIGHT) !== isRTL ? 1 : -1);
+        break;
+        
+      case KEYS.ARROW_DOWN:
+      case KEYS.ARROW_UP:
+        if (!vertical) return false;
+        nextIndex = index + (event.key === KEYS.ARROW_DOWN ? 1 : -1);
+        break;
+        
+      case KEYS.HOME:
+        nextIndex = 0;
+        break;
+        
+      case KEYS.END:
+        nextIndex = items.length - 1;
+        break;
+        
+      default:
+        return false;
+    }
+    
+    event.preventDefault();
+    
+    // Wrap around at either end
+    const nextItem = items[(nextIndex + items.length) % items.length];
+    this._setTabStop(composite, nextItem);
+    nextItem.focus();
+    
+    if (composite.followFocus && composite.exclusive && !isButtonPressed(nextItem)) {
+      this._handleToggle(nextItem);
+    }
+    
+    return true;
+  }
+  
+  /* ========================================================================
+   * LOADING STATE HANDLER
+   * ========================================================================
+   * Manages loading spinner and state transitions.
+   * Tracks timeouts to prevent race conditions.
+   * ======================================================================== */
+  
+  /**
+   * Handle loading button click
+   * @private
+   * @param {HTMLElement} button - The button element
+   * @param {MouseEvent} event - The click event
+   */
+  _handleLoading(button, event) {
+    // Prevent action if already loading
+    if (button.classList.contains('btn--loading')) {
+      event.preventDefault();
+      return;
+    }
+    
+    // Buttons with data-progress finish when their progress does
+    if (button.hasAttribute(DATA_ATTRS.progress)) return;
+    
+    const { defaults } = this._config;
+    const loadingDuration = parseDuration(
+      button.getAttribute(DATA_ATTRS.loadingDuration),
+      defaults.loadingDuration,
+      defaults.minDuration,
+      defaults.maxDuration
+    );
+    
+    // Apply loading state
+    this._applyLoadingState(button, button.getAttribute(DATA_ATTRS.loadingText));
+    
+    // Set timeout to reset loading state, replacing any pending one
+    setButtonTimer(button, TIMERS.loading, () => {
+      // Check if element is still in DOM before resetting
+      if (isElementConnected(button)) {
+        this._resetLoadingState(button);
+      } else {
+        // Cleanup WeakMap entries
+        buttonOriginalContent.delete(button);
+      }
+    }, loadingDuration);
+  }
+  
+  /**
+   * Put a button into the loading state
+   * Stores the original content once so nested calls restore the real label.
+   * @private
+   * @param {HTMLElement} button - The button element
+   * @param {string|null} [loadingText] - Text shown next to the spinner
+   */
+  _applyLoadingState(button, loadingText) {
+    if (!buttonOriginalContent.has(button)) {
+      buttonOriginalContent.set(button, {
+        innerHTML: button.innerHTML,
+        disabled: button.disabled
+      });
+    }
+    
+    // Name the button before loading text replaces its label
+    const name = getAccessibleName(button);
+    
+    button.classList.add('btn--loading');
+    button.setAttribute(ARIA.busy, 'true');
+    button.disabled = true;
+    
+    // Show loading text alongside the spinner
+    if (loadingText) {
+      button.textContent = loadingText;
+      button.classList.add('btn--loading-label');
+    }
+    
+    // Announce loading state
+    this._announce(this._t('loading', { name }));
+  }
+  
+  /**
+   * Restore a button's original content and disabled state
+   * @private
+   * @param {HTMLElement} button - The button element
+   */
+  _restoreButtonContent(button) {
+    const original = buttonOriginalContent.get(button);
+    
+    this._clearProgress(button);
+    button.classList.remove('btn--loading', 'btn--loading-label');
+    button.setAttribute(ARIA.busy, 'false');
+    
+    if (original) {
+      // An auto-disable that outlasts the loading state keeps the button disabled
+      button.disabled = original.disabled || disableStates.has(button);
+      button.innerHTML = original.innerHTML;
+      
+      // Clean up stored data
+      buttonOriginalContent.delete(button);
+    } else {
+      // Fallback if original content wasn't stored
+      button.disabled = false;
+    }
+  }
+  
+  /**
+   * Reset button from loading state
+   * @private
+   * @param {HTMLElement} button - The button element
+   */
+  _resetLoadingState(button) {
+    this._restoreButtonContent(button);
+    clearButtonTimer(button, TIMERS.loading);
+    settleLoading(button);
+    
+    // Announce completion
+    this._announce(this._t('complete', { name: getAccessibleName(button) }));
+    
+    // Dispatch custom event
+    this._dispatchEvent(button, EVENTS.loadingComplete, createEventDetail({}));
+  }
+  
+  /* ========================================================================
+   * DETERMINATE PROGRESS
+   * ========================================================================
+   * A loading state driven by setProgress() or data-progress instead of a
+   * timer. A role="progressbar" element inside the button, referenced by
+   * its aria-describedby, shows a fill (or a ring with
+   * data-progress-style="ring"); null progress falls back to the spinner.
+   * Reaching 1 shows the success state.
+   * ======================================================================== */
+  
+  /**
+   * Apply data-progress values from markup
+   * @private
+   * @param {Element} [scope=this._root] - Subtree to initialize
+   */
+  _initProgress(scope = this._root) {
+    this._queryAll(`[${DATA_ATTRS.progress}]`, scope).forEach(button => this._syncProgressAttribute(button));
+  }
+  
+  /**
+   * Follow a button's data-progress attribute; removing it ends the progress
+   * @private
+   * @param {HTMLElement} button - The button element
+   */
+  _syncProgressAttribute(button) {
+    if (button.hasAttribute(DATA_ATTRS.progress)) {
+      this.setProgress(button, parseProgress(button.getAttribute(DATA_ATTRS.progress)));
+    } else if (progressStates.has(button)) {
+      this.cancelLoading(button);
+    }
+  }
+  
+  /**
+   * Show progress on a button, entering the loading state if needed
+   * @private
+   * @param {HTMLElement} button - The button element
+   * @param {number|null} value - Progress from 0 to 1, or null for indeterminate
+   */
+  _applyProgress(button, value) {
+    let state = progressStates.get(button);
+    
+    if (!state) {
+      const name = getAccessibleName(button);
+      
+      // Progress ends this loading state, not a timer; setLoading() callers stop waiting
+      clearButtonTimer(button, TIMERS.loading);
+      settleLoading(button);
+      this._clearActionFeedback(button);
+      if (!button.classList.contains('btn--loading')) {
+        this._applyLoadingState(button, button.getAttribute(DATA_ATTRS.loadingText));
+      }
+      
+      // The button keeps its role; the bar describes it
+      const bar = button.ownerDocument.createElement('span');
+      bar.className = SELECTORS.progressBar.slice(1);
+      bar.id = `btn-progress-${++progressBarId}`;
+      bar.setAttribute('role', 'progressbar');
+      bar.setAttribute('aria-label', name);
+      bar.setAttribute(ARIA.valueMin, '0');
+      bar.setAttribute(ARIA.valueMax, '100');
+      button.appendChild(bar);
+      
+      const describedby = button.getAttribute(ARIA.describedby);
+      button.setAttribute(ARIA.describedby, describedby ? `${describedby} ${bar.id}` : bar.id);
+      
+      state = { value: null, name, bar, describedby, announcedAt: 0, announced: 0 };
+      progressStates.set(button, state);
+      
+      button.classList.add('btn--progress');
+      button.classList.toggle('btn--progress-ring', button.getAttribute(DATA_ATTRS.progressStyle) === 'ring');
+    }
+    
+    state.value = value;
+    button.classList.toggle('btn--progress-indeterminate', value === null);
+    
+    if (value === null) {
+      clearButtonTimer(button, TIMERS.progress);
+      state.bar.removeAttribute(ARIA.valueNow);
+      state.bar.style.removeProperty('--btn-progress');
+      return;
+    }
+    
+    state.bar.setAttribute(ARIA.valueNow, String(Math.round(value * 100)));
+    state.bar.style.setProperty('--btn-progress', String(value));
+    this._announceProgress(button);
+  }
+  
+  /**
+   * Announce the current percentage, at most once per progressAnnounceInterval
+   * Updates inside the interval are announced together when it ends.
+   * @private
+   * @param {HTMLElement} button - The button element
+   */
+  _announceProgress(button) {
+    const state = progressStates.get(button);
+    if (!state || state.value === null) return;
+    
+    const wait = state.announcedAt + this._config.defaults.progressAnnounceInterval - Date.now();
+    if (wait > 0) {
+      setButtonTimer(button, TIMERS.progress, () => this._announceProgress(button), wait);
+      return;
+    }
+    
+    const percent = Math.round(state.value * 100);
+    if (percent === state.announced) return;
+    
+    state.announcedAt = Date.now();
+    state.announced = percent;
+    this._announce(this._t('progress', { name: state.name, percent }), 'polite', state);
+  }
+  
+  /**
+   * Finish a progress loading state with the success state
+   * An action run through runAction() settles the button itself, so its
+   * progress only reaches 100% here. A button that isn't loading (such as
+   * one with data-progress="1" in its markup) stays as it is.
+   * @private
+   * @param {HTMLElement} button - The button element
+   */
+  _completeProgress(button) {
+    const actionState = buttonActionState.get(button);
+    if (actionState && actionState.promise) {
+      this._applyProgress(button, 1);
+      return;
+    }
+    
+    const state = progressStates.get(button);
+    if (!state && !button.classList.contains('btn--loading')) return;
+    
+    const name = state ? state.name : getAccessibleName(button);
+    const { successText, feedbackDuration } = this._resolveActionOptions(button, {});
+    
+    this._showActionFeedback(button, 'success', successText, feedbackDuration);
+    this._announce(this._t('complete', { name }));
+    this._dispatchEvent(button, EVENTS.loadingComplete, createEventDetail({}));
+  }
+  
+  /**
+   * Drop a button's progress state and its progress bar
+   * @private
+   * @param {HTMLElement} button - The button element
+   */
+  _clearProgress(button) {
+    const state = progressStates.get(button);
+    if (!state) return;
+    
+    progressStates.delete(button);
+    clearButtonTimer(button, TIMERS.progress);
+    
+    state.bar.remove();
+    if (state.describedby === null) {
+      button.removeAttribute(ARIA.describedby);
+    } else {
+      button.setAttribute(ARIA.describedby, state.describedby);
+    }
+    button.classList.remove('btn--progress', 'btn--progress-ring', 'btn--progress-indeterminate');
+  }
+  
+  /* ========================================================================
+   * ASYNC ACTION HANDLER
+   * ========================================================================
+   * Holds the loading state until an action's promise settles, then shows
+   * a success or error state. Failed actions can offer a retry.
+   * ======================================================================== */
+  
+  /**
+   * Handle click on an async action button
+   * @private
+   * @param {HTMLElement} button - The button element
+   * @param {MouseEvent} event - The click event
+   */
+  _handleAction(button, event) {
+    // Prevent action if already running
+    if (button.classList.contains('btn--loading')) {
+      event.preventDefault();
+      return;
+    }
+    
+    const state = buttonActionState.get(button);
+    
+    // A failed action offering a retry runs again with its stored options
+    if (state && state.awaitingRetry) {
+      this._runAction(button, state).catch(() => {});
+      return;
+    }
+    
+    const action = this._actions.get(button.getAttribute(DATA_ATTRS.action));
+    if (!action) return;
+    
+    // Errors are surfaced through the error state and actionError event
+    this.runAction(button, action).catch(() => {});
+  }
+  
+  /**
+   * Merge explicit action options with the button's data attributes
+   * @private
+   * @param {HTMLElement} button - The button element
+   * @param {ActionOptions} options - Explicit options
+   * @returns {ActionOptions} Resolved options
+   */
+  _resolveActionOptions(button, options) {
+    const { defaults } = this._config;
+    let retry = parseAttempts(button.getAttribute(DATA_ATTRS.retry), defaults.retryAttempts);
+    if (options.retry === true) {
+      retry = defaults.retryAttempts;
+    } else if (options.retry !== undefined) {
+      retry = clamp(Number(options.retry) || 0, 0, 10);
+    }
+    
+    return {
+      loadingText: options.loadingText || button.getAttribute(DATA_ATTRS.loadingText),
+      successText: options.successText || button.getAttribute(DATA_ATTRS.successText),
+      errorText: options.errorText || button.getAttribute(DATA_ATTRS.errorText),
+      retry,
+      feedbackDuration: options.feedbackDuration !== undefined
+        ? clamp(options.feedbackDuration, defaults.minDuration, defaults.maxDuration)
+        : parseDuration(
+          button.getAttribute(DATA_ATTRS.feedbackDuration),
+          defaults.feedbackDuration,
+          defaults.minDuration,
+          defaults.maxDuration
+        )
+    };
+  }
+  
+  /**
+   * Run one attempt of an action and transition to success or error state
+   * @private
+   * @param {HTMLElement} button - The button element
+   * @param {ActionState} state - The button's action state
+   * @returns {Promise<*>} Resolves with the action result, rejects with its error
+   */
+  _runAction(button, state) {
+    const { options } = state;
+    
+    state.attempt += 1;
+    state.awaitingRetry = false;
+    const attempt = state.attempt;
+    
+    // Leave any previous success/error state before loading again
+    this._clearActionFeedback(button);
+    const name = getAccessibleName(button);
+    this._applyLoadingState(button, options.loadingText);
+    
+    this._dispatchEvent(button, EVENTS.actionStart, createEventDetail({ attempt }));
+    
+    state.promise = Promise.resolve()
+      .then(() => state.action(button, { attempt }))
+      .then(result => {
+        state.promise = null;
+        buttonActionState.delete(button);
+        
+        if (isElementConnected(button)) {
+          this._showActionFeedback(button, 'success', options.successText, options.feedbackDuration);
+          this._announce(this._t('success', { name }));
+          this._dispatchEvent(button, EVENTS.actionSuccess, createEventDetail({ result, attempt }));
+        } else {
+          buttonOriginalContent.delete(button);
+        }
+        
+        return result;
+      }, error => {
+        state.promise = null;
+        const canRetry = attempt < options.retry && isElementConnected(button);
+        
+        if (!canRetry) {
+          buttonActionState.delete(button);
+        }
+        
+        if (isElementConnected(button)) {
+          state.awaitingRetry = canRetry;
+          
+          // Retry state stays until the user activates the button again
+          this._showActionFeedback(
+            button,
+            'error',
+            canRetry ? (options.errorText || this._t('retryLabel', { name })) : options.errorText,
+            canRetry ? 0 : options.feedbackDuration
+          );
+          this._announce(this._t(canRetry ? 'retry' : 'error', { name, attempt }), 'assertive');
+          this._dispatchEvent(button, EVENTS.actionError, createEventDetail({ error, attempt, canRetry }));
+        } else {
+          buttonOriginalContent.delete(button);
+        }
+        
+        throw error;
+      });
+    
+    return state.promise;
+  }
+  
+  /**
+   * Show the success or error state after an action settles
+   * @private
+   * @param {HTMLElement} button - The button element
+   * @param {'success'|'error'} status - The outcome
+   * @param {string|null} text - Label to show, or null to keep the original
+   * @param {number} duration - Time before restoring, 0 to keep until cleared
+   */
+  _showActionFeedback(button, status, text, duration) {
+    const original = buttonOriginalContent.get(button);
+    
+    this._clearProgress(button);
+    button.classList.remove('btn--loading', 'btn--loading-label');
+    button.setAttribute(ARIA.busy, 'false');
+    button.disabled = original ? original.disabled : false;
+    
+    if (text) {
+      button.textContent = text;
+    } else if (original) {
+      button.innerHTML = original.innerHTML;
+    }
+    
+    button.classList.add(`btn--${status}-state`);
+    
+    // Feedback replaces the loading state, so a pending loading reset goes too
+    clearButtonTimer(button, TIMERS.loading);
+    clearButtonTimer(button, TIMERS.feedback);
+    
+    if (duration > 0) {
+      setButtonTimer(button, TIMERS.feedback, () => {
+        if (isElementConnected(button)) {
+          this._clearActionFeedback(button);
+        } else {
+          buttonOriginalContent.delete(button);
+        }
+      }, duration);
+    }
+  }
+  
+  /**
+   * Remove success/error state and restore the original content
+   * @private
+   * @param {HTMLElement} button - The button element
+   */
+  _clearActionFeedback(button) {
+    if (!button.classList.contains('btn--success-state') &&
+        !button.classList.contains('btn--error-state')) {
+      return;
+    }
+    
+    clearButtonTimer(button, TIMERS.feedback);
+    
+    button.classList.remove('btn--success-state', 'btn--error-state');
+    this._restoreButtonContent(button);
+  }
+  
+  /* ========================================================================
+   * AUTO-DISABLE HANDLER
+   * ========================================================================
+   * Prevents double-submission by disabling button after click.
+   * data-auto-disable="cooldown" also counts the time down in the label;
+   * "invalid" keeps the button disabled until its form fails validation.
+   * ======================================================================== */
+  
+  /**
+   * Resume auto-disable periods persisted with data-disable-persist
+   * @private
+   * @param {Element} [scope=this._root] - Subtree to initialize
+   */
+  _initAutoDisable(scope = this._root) {
+    this._queryAll(`[${DATA_ATTRS.autoDisable}][${DATA_ATTRS.disablePersist}]`, scope).forEach(button => {
+      const mode = getDisableMode(button);
+      if (mode === 'invalid' || disableStates.has(button)) return;
+      
+      const storageKey = `ds-disable:${button.getAttribute(DATA_ATTRS.disablePersist)}`;
+      const endsAt = Number(readStorage(storageKey));
+      const now = Date.now();
+      
+      if (endsAt > now) {
+        this._startDisable(button, mode, Math.min(endsAt, now + this._config.defaults.maxDuration));
+      } else if (endsAt) {
+        writeStorage(storageKey, null);
+      }
+    });
+  }
+  
+  /**
+   * Handle auto-disable button click
+   * @private
+   * @param {HTMLElement} button - The button element
+   */
+  _handleAutoDisable(button) {
+    let mode = getDisableMode(button);
+    if (mode === 'invalid' && !button.form) {
+      warnOption(this._config.debug, 'data-auto-disable="invalid" needs a form; using data-disable-duration');
+      mode = 'timer';
+    }
+    
+    const { defaults } = this._config;
+    const disableDuration = parseDuration(
+      button.getAttribute(DATA_ATTRS.disableDuration),
+      defaults.disableDuration,
+      defaults.minDuration,
+      defaults.maxDuration
+    );
+    
+    this._startDisable(button, mode, mode === 'invalid' ? null : Date.now() + disableDuration);
+  }
+  
+  /**
+   * Disable a button until a time, or until its form reports an invalid field
+   * @private
+   * @param {HTMLElement} button - The button element
+   * @param {'timer'|'cooldown'|'invalid'} mode - Auto-disable mode
+   * @param {number|null} endsAt - Re-enable time (ms since epoch); null for "invalid"
+   */
+  _startDisable(button, mode, endsAt) {
+    this._endDisable(button, false);
+    
+    const key = mode === 'invalid' ? null : button.getAttribute(DATA_ATTRS.disablePersist);
+    const state = {
+      mode,
+      endsAt,
+      name: getAccessibleName(button),
+      label: null,
+      storageKey: key ? `ds-disable:${key}` : null,
+      release: null
+    };
+    disableStates.set(button, state);
+    
+    if (state.storageKey) {
+      writeStorage(state.storageKey, String(endsAt));
+    }
+    
+    if (mode === 'invalid') {
+      // invalid doesn't bubble; it also fires before a deferred disable below,
+      // in which case the form never submitted and the button stays enabled
+      const form = button.form;
+      const onInvalid = () => this._endDisable(button);
+      form.addEventListener('invalid', onInvalid, true);
+      state.release = () => form.removeEventListener('invalid', onInvalid, true);
+    }
+    
+    // A submit button disabled during its own click would not submit the form
+    if (button.type === 'submit' && button.form) {
+      setButtonTimer(button, TIMERS.disable, () => this._applyDisabled(button), 0);
+    } else {
+      this._applyDisabled(button);
+    }
+  }
+  
+  /**
+   * Disable the button and start its countdown
+   * @private
+   * @param {HTMLElement} button - The button element
+   */
+  _applyDisabled(button) {
+    const state = disableStates.get(button);
+    if (!state) return;
+    
+    button.disabled = true;
+    button.setAttribute(ARIA.disabled, 'true');
+    
+    if (state.mode === 'cooldown') {
+      // Loading may already have replaced the label; keep the real one
+      const original = buttonOriginalContent.get(button);
+      state.label = original ? original.innerHTML : button.innerHTML;
+      
+      const count = Math.ceil((state.endsAt - Date.now()) / 1000);
+      this._announce(this._t('cooldownStarted', { name: state.name, count }), 'polite', state);
+    }
+    
+    if (state.endsAt !== null) {
+      this._tickDisable(button);
+    }
+  }
+  
+  /**
+   * Update the countdown label and schedule the next second, or re-enable
+   * @private
+   * @param {HTMLElement} button - The button element
+   */
+  _tickDisable(button) {
+    const state = disableStates.get(button);
+    if (!state) return;
+    
+    if (!isElementConnected(button)) {
+      this._endDisable(button, false);
+      return;
+    }
+    
+    const remaining = state.endsAt - Date.now();
+    if (remaining <= 0) {
+      this._endDisable(button);
+      return;
+    }
+    
+    let delay = remaining;
+    if (state.mode === 'cooldown') {
+      const count = Math.ceil(remaining / 1000);
+      
+      // Loading and feedback states own the label while they show
+      if (!buttonOriginalContent.has(button)) {
+        const template = button.getAttribute(DATA_ATTRS.cooldownText);
+        const params = { label: state.name, count };
+        button.textContent = template
+          ? formatMessage(template, params, this._config.locale)
+          : this._t('cooldownLabel', params);
+      }
+      
+      // Wake up when the displayed number changes
+      delay = remaining - (count - 1) * 1000;
+    }
+    
+    setButtonTimer(button, TIMERS.disable, () => this._tickDisable(button), delay);
+  }
+  
+  /**
+   * Re-enable an auto-disabled button and restore its label
+   * @private
+   * @param {HTMLElement} button - The button element
+   * @param {boolean} [announce=true] - Announce the end of a cooldown
+   */
+  _endDisable(button, announce = true) {
+    const state = disableStates.get(button);
+    if (!state) return;
+    
+    clearButtonTimer(button, TIMERS.disable);
+    if (state.release) state.release();
+    if (state.storageKey) writeStorage(state.storageKey, null);
+    disableStates.delete(button);
+    
+    if (!isElementConnected(button)) return;
+    
+    // A loading state still showing re-enables the button when it ends
+    if (!button.classList.contains('btn--loading')) {
+      button.disabled = false;
+    }
+    button.removeAttribute(ARIA.disabled);
+    
+    if (state.label !== null && !buttonOriginalContent.has(button)) {
+      button.innerHTML = state.label;
+    }
+    
+    if (announce && state.mode === 'cooldown') {
+      this._announce(this._t('cooldownEnded', { name: state.name }), 'polite', state);
+    }
+  }
+  
+  /* ========================================================================
+   * DROPDOWN BUTTON HANDLER
+   * ========================================================================
+   * Manages dropdown menu visibility and ARIA states.
+   * Includes viewport boundary detection and item caching.
+   * ======================================================================== */
+  
+  /**
+   * Handle dropdown button interactions
+   * @private
+   * @param {HTMLElement} target - The clicked element
+   * @param {HTMLElement} dropdown - The dropdown container
+   * @param {MouseEvent} event - The click event
+   */
+  _handleDropdown(target, dropdown, event) {
+    const trigger = getDropdownTrigger(dropdown);
+    const menu = getDropdownMenu(dropdown);
+    
+    if (!trigger || !menu) return;
+    
+    // Submenu parent items toggle their submenu instead of selecting
+    if (target.classList.contains('btn-dropdown__item') && getSubmenu(target)) {
+      if (target.getAttribute(ARIA.expanded) === 'true') {
+        this._closeSubmenu(target);
+      } else {
+        this._openSubmenu(target);
+      }
+      return;
+    }
+    
+    // If clicking on a menu item
+    if (target.classList.contains('btn-dropdown__item')) {
+      this._handleDropdownItemClick(target, dropdown, trigger);
+      return;
+    }
+    
+    // A failed menu source loads again
+    if (target.matches(SELECTORS.menuRetry) && menuSources.has(dropdown)) {
+      this._loadMenuSource(dropdown, menuSources.get(dropdown).query);
+      return;
+    }
+    
+    // A split button's primary action closes its menu
+    if (target.matches(SELECTORS.splitMain)) {
+      this._closeDropdown(dropdown, trigger);
+      return;
+    }
+    
+    // If clicking on trigger, toggle dropdown
+    if (target === trigger || trigger.contains(target)) {
+      event.stopPropagation();
+      const isExpanded = trigger.getAttribute(ARIA.expanded) === 'true';
+      
+      // Close other dropdowns first
+      this._closeAllDropdowns();
+      
+      if (!isExpanded) {
+        this._openDropdown(trigger, dropdown, menu);
+      }
+    }
+  }
+  
+  /**
+   * Open a dropdown menu
+   * @private
+   * @param {HTMLElement} trigger - The dropdown trigger button
+   * @param {HTMLElement} dropdown - The dropdown container
+   * @param {HTMLElement} menu - The dropdown menu
+   * @returns {boolean} False if a ds:beforeopen listener canceled opening
+   */
+  _openDropdown(trigger, dropdown, menu) {
+    if (!this._dispatchEvent(dropdown, EVENTS.beforeOpen, createEventDetail({ trigger, menu }))) {
+      return false;
+    }
+    
+    trigger.setAttribute(ARIA.expanded, 'true');
+    dropdown.setAttribute(ARIA.expanded, 'true');
+    
+    // Track open dropdown
+    this._openDropdowns.add(dropdown);
+    
+    if (dropdown.hasAttribute(DATA_ATTRS.portal)) {
+      this._portalMenu(dropdown, menu);
+    }
+    
+    // Keep the menu placed while it is open
+    this._startPositioning(dropdown, menu);
+    
+    // Menus with a source load their items on open
+    if (menuSources.has(dropdown)) {
+      this._refreshMenuSource(dropdown);
+    }
+    
+    this._focusInitialItem(menu);
+    this._announceState(trigger, 'menuOpened');
+    
+    return true;
+  }
+  
+  /**
+   * Focus the search field of a searchable menu, else the chosen option in
+   * select mode, else the first enabled item
+   * @private
+   * @param {HTMLElement} menu - The opening menu
+   */
+  _focusInitialItem(menu) {
+    // Use requestAnimationFrame to ensure menu is visible before focusing
+    requestAnimationFrame(() => {
+      if (!isElementConnected(menu)) return;
+      
+      const items = this._getDropdownItems(menu).filter(isMenuItemEnabled);
+      const dropdown = getOwningDropdown(menu);
+      const isSelect = dropdown && dropdown.hasAttribute(DATA_ATTRS.select);
+      const field = dropdown && this._getSearchField(dropdown, menu);
+      const target = (field && field.input) ||
+        (isSelect && items.find(item => item.getAttribute(ARIA.checked) === 'true')) || items[0];
+      if (target) {
+        setTimeout(() => {
+          if (isElementConnected(target)) {
+            target.focus();
+          }
+        }, this._config.defaults.focusDelay);
+      }
+    });
+  }
+  
+  /**
+   * Get dropdown items with caching
+   * The cache holds every item; hidden ones (e.g. filtered out by a menu
+   * search) are left out on each call, so filtering never invalidates it.
+   * @private
+   * @param {HTMLElement} menu - The dropdown menu
+   * @param {boolean} [includeHidden=false] - Include filtered-out items
+   * @returns {HTMLElement[]} Array of menu items
+   */
+  _getDropdownItems(menu, includeHidden = false) {
+    const cached = dropdownItemCache.get(menu);
+    const now = Date.now();
+    let items;
+    
+    // The root observer drops the cache when the menu changes; without one it expires
+    if (cached && (this._observer || (now - cached.timestamp) < this._config.defaults.cacheMaxAge)) {
+      items = cached.items;
+    } else {
+      // Query and cache items, leaving nested submenu items to their own menu
+      items = Array.from(menu.querySelectorAll(SELECTORS.dropdownItem))
+        .filter(item => item.closest(SELECTORS.dropdownMenu) === menu);
+      dropdownItemCache.set(menu, { items, timestamp: now });
+    }
+    
+    return includeHidden ? items : items.filter(item => !isItemHidden(item));
+  }
+  
+  /**
+   * Invalidate dropdown item cache
+   * @private
+   * @param {HTMLElement} menu - The dropdown menu
+   */
+  _invalidateDropdownCache(menu) {
+    dropdownItemCache.delete(menu);
+  }
+  
+  /**
+   * Reposition an open menu whenever its anchor, size or the viewport changes
+   * Listens for scrolling of any ancestor and window resizes, and observes
+   * the anchor and menu sizes; updates are batched into one frame.
+   * @private
+   * @param {HTMLElement} dropdown - The dropdown container
+   * @param {HTMLElement} menu - The dropdown menu
+   */
+  _startPositioning(dropdown, menu) {
+    this._stopPositioning(menu);
+    
+    const controller = new AbortController();
+    const positioner = { controller, observer: null, frame: null };
+    this._positioners.set(menu, positioner);
+    
+    let lastState = '';
+    const update = () => {
+      positioner.frame = null;
+      if (!isElementConnected(dropdown) || !isElementConnected(menu)) {
+        this._stopPositioning(menu);
+        return;
+      }
+      
+      const anchor = dropdown.getBoundingClientRect();
+      const state = [
+        anchor.top, anchor.left, anchor.width, anchor.height,
+        window.innerWidth, window.innerHeight, menu.scrollWidth, menu.scrollHeight
+      ].join();
+      
+      // Positioning can resize the menu; only a real change goes round again
+      if (state !== lastState) {
+        lastState = state;
+        this._positionDropdownMenu(dropdown, menu);
+      }
+    };
+    const schedule = () => {
+      if (positioner.frame === null) {
+        positioner.frame = requestAnimationFrame(update);
+      }
+    };
+    
+    // Scroll doesn't bubble, so capture it; scrolls inside a shadow root stay there
+    const { signal } = controller;
+    window.addEventListener('scroll', schedule, { signal, capture: true, passive: true });
+    window.addEventListener('resize', schedule, { signal, passive: true });
+    const rootNode = dropdown.getRootNode();
+    if (rootNode !== document && rootNode.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+      rootNode.addEventListener('scroll', schedule, { signal, capture: true, passive: true });
+    }
+    
+    if (typeof ResizeObserver !== 'undefined') {
+      positioner.observer = new ResizeObserver(schedule);
+      positioner.observer.observe(dropdown);
+      positioner.observer.observe(menu);
+    }
+    
+    update();
+  }
+  
+  /**
+   * Stop repositioning a menu
+   * @private
+   * @param {HTMLElement} menu - The dropdown menu
+   */
+  _stopPositioning(menu) {
+    const positioner = this._positioners.get(menu);
+    if (!positioner) return;
+    
+    positioner.controller.abort();
+    if (positioner.observer) {
+      positioner.observer.disconnect();
+    }
+    if (positioner.frame !== null) {
+      cancelAnimationFrame(positioner.frame);
+    }
+    this._positioners.delete(menu);
+  }
+  
+  /**
+   * Position a dropdown menu and its open submenus
+   * Honors data-placement, data-boundary and data-portal on the dropdown.
+   * @private
+   * @param {HTMLElement} dropdown - The dropdown container
+   * @param {HTMLElement} menu - The dropdown menu
+   */
+  _positionDropdownMenu(dropdown, menu) {
+    const boundarySelector = dropdown.getAttribute(DATA_ATTRS.boundary);
+    let boundary = null;
+    if (boundarySelector && boundarySelector !== 'viewport') {
+      try {
+        boundary = dropdown.closest(boundarySelector);
+      } catch (error) {
+        boundary = null;
+      }
+    }
+    
+    // Context menus opened by pointer anchor to the clicked point in their target
+    const context = openContextMenus.get(dropdown);
+    let anchorRect = null;
+    if (context && context.point) {
+      const rect = dropdown.getBoundingClientRect();
+      const x = rect.left + context.point.x;
+      const y = rect.top + context.point.y;
+      anchorRect = { top: y, bottom: y, left: x, right: x, width: 0, height: 0 };
+    }
+    
+    this._placeMenu(dropdown, menu, {
+      anchorRect,
+      placement: dropdown.getAttribute(DATA_ATTRS.placement),
+      offset: anchorRect ? 0 : this._config.defaults.menuOffset,
+      boundary,
+      clipAncestors: !portaledMenus.has(dropdown)
+    });
+    
+    menu.querySelectorAll(`${SELECTORS.submenu} > ${SELECTORS.dropdownItem}[${ARIA.expanded}="true"]`)
+      .forEach(item => this._positionSubmenu(item, getSubmenu(item)));
+  }
+  
+  /**
+   * Place a menu next to an anchor element
+   * @private
+   * @param {HTMLElement} anchor - Element the menu attaches to
+   * @param {HTMLElement} menu - The menu
+   * @param {Object} options - Placement, offset, boundary element, clipAncestors flag
+   *   and an optional anchorRect overriding the anchor's own rect
+   */
+  _placeMenu(anchor, menu, options) {
+    // Measure the natural size without a previous height clamp
+    menu.style.maxHeight = '';
+    const size = { width: menu.offsetWidth, height: menu.offsetHeight };
+    
+    const position = computePosition(
+      options.anchorRect || anchor.getBoundingClientRect(),
+      size,
+      getBoundaryRect(anchor, options.boundary, options.clipAncestors, this._config.defaults.viewportPadding),
+      {
+        placement: options.placement,
+        offset: options.offset,
+        rtl: this._isRTL(anchor)
+      }
+    );
+    
+    const origin = getContainingOrigin(menu);
+    Object.assign(menu.style, {
+      top: `${position.y - origin.y}px`,
+      left: `${position.x - origin.x}px`,
+      right: 'auto',
+      bottom: 'auto',
+      maxHeight: position.maxHeight === null ? '' : `${position.maxHeight}px`
+    });
+    menu.setAttribute(DATA_ATTRS.position, position.placement);
+  }
+  
+  /**
+   * Move an open menu to the end of the body (or the scoped root)
+   * so overflow containers can't clip it
+   * @private
+   * @param {HTMLElement} dropdown - The dropdown container
+   * @param {HTMLElement} menu - The dropdown menu
+   */
+  _portalMenu(dropdown, menu) {
+    if (portaledMenus.has(dropdown)) return;
+    
+    const doc = this._getDocument();
+    const placeholder = doc.createComment('btn-dropdown__menu');
+    menu.before(placeholder);
+    
+    portaledMenus.set(dropdown, { menu, placeholder });
+    portalOwners.set(menu, dropdown);
+    
+    menu.classList.add('btn-dropdown__menu--portal');
+    (this._root === doc ? doc.body : this._root).appendChild(menu);
+  }
+  
+  /**
+   * Return a portaled menu to its dropdown
+   * @private
+   * @param {HTMLElement} dropdown - The dropdown container
+   */
+  _restorePortal(dropdown) {
+    const portal = portaledMenus.get(dropdown);
+    if (!portal) return;
+    
+    portaledMenus.delete(dropdown);
+    portalOwners.delete(portal.menu);
+    
+    portal.menu.classList.remove('btn-dropdown__menu--portal');
+    if (isElementConnected(portal.placeholder)) {
+      portal.placeholder.replaceWith(portal.menu);
+    } else {
+      portal.menu.remove();
+    }
+  }
+  
+  /**
+   * Handle dropdown menu item click
+   * @private
+   * @param {HTMLElement} item - The clicked menu item
+   * @param {HTMLElement} dropdown - The dropdown container
+   * @param {HTMLElement} trigger - The dropdown trigger
+   */
+  _handleDropdownItemClick(item, dropdown, trigger) {
+    const value = getButtonValue(item);
+    const isSelect = dropdown.hasAttribute(DATA_ATTRS.select);
+    let checked = null;
+    
+    // Select-mode and named dropdowns keep the choice
+    if (isSelect || dropdown.hasAttribute('name')) {
+      this._setDropdownValue(dropdown, value);
+    }
+    
+    // Checkbox and radio items flip their own state
+    if (isSelect) {
+      checked = true;
+    } else if (isCheckableItem(item)) {
+      checked = this._toggleMenuItem(item);
+    }
+    
+    // Dispatch selection event with the menu's checked state
+    const menu = getDropdownMenu(dropdown);
+    this._dispatchEvent(dropdown, EVENTS.select, createEventDetail({
+      value,
+      item,
+      checked,
+      checkedValues: menu ? getCheckedValues(menu) : []
+    }));
+    
+    // Checkable items may leave the menu open for further toggling
+    if (checked !== null && !isSelect && shouldKeepMenuOpen(item, dropdown)) {
+      return;
+    }
+    
+    // Close dropdown
+    this._closeDropdown(dropdown, trigger);
+    
+    // Return focus to trigger
+    if (trigger && isElementConnected(trigger)) {
+      trigger.focus();
+    }
+  }
+  
+  /**
+   * Close a specific dropdown
+   * @private
+   * @param {HTMLElement} dropdown - The dropdown container
+   * @param {HTMLElement} [trigger] - The dropdown trigger (optional)
+   */
+  _closeDropdown(dropdown, trigger) {
+    if (!trigger) {
+      trigger = getDropdownTrigger(dropdown);
+    }
+    
+    // A context menu's target never carried aria-expanded
+    if (openContextMenus.has(dropdown)) {
+      openContextMenus.delete(dropdown);
+    } else {
+      if (trigger) {
+        trigger.setAttribute(ARIA.expanded, 'false');
+      }
+      dropdown.setAttribute(ARIA.expanded, 'false');
+    }
+    
+    // Remove from tracking set
+    if (this._openDropdowns.delete(dropdown) && trigger && isElementConnected(trigger)) {
+      this._announceState(trigger, 'menuClosed');
+    }
+    
+    // A search-driven load is not worth finishing once the menu is closed
+    const source = menuSources.get(dropdown);
+    if (source) {
+      clearTimeout(source.debounce);
+      source.debounce = null;
+    }
+    
+    // Close the submenu chain, clear any filter, stop positioning and bring a portaled menu home
+    const menu = getDropdownMenu(dropdown);
+    if (menu) {
+      this._closeSubmenus(menu);
+      this._resetSearch(menu);
+      this._stopPositioning(menu);
+    }
+    this._restorePortal(dropdown);
+  }
+  
+  /**
+   * Close all open dropdowns
+   * @private
+   */
+  _closeAllDropdowns() {
+    // Use tracked set for efficiency
+    this._openDropdowns.forEach(dropdown => {
+      if (isElementConnected(dropdown)) {
+        this._closeDropdown(dropdown);
+      }
+    });
+    this._openDropdowns.clear();
+  }
+  
+  /**
+   * Handle dropdown keyboard navigation
+   * @private
+   * @param {KeyboardEvent} event - The keyboard event
+   * @param {HTMLElement} dropdown - The dropdown container
+   */
+  _handleDropdownKeyboard(event, dropdown) {
+    const trigger = getDropdownTrigger(dropdown);
+    const menu = getDropdownMenu(dropdown);
+    
+    if (!trigger || !menu) return;
+    
+    // Navigate within the (sub)menu that holds focus
+    const target = event.target;
+    const activeMenu = (target.closest && target.closest(SELECTORS.dropdownMenu)) || menu;
+    const items = this._getDropdownItems(activeMenu).filter(isMenuItemEnabled);
+    const isExpanded = this._openDropdowns.has(dropdown);
+    const currentIndex = items.indexOf(this._getActiveElement());
+    const wrap = !dropdown.hasAttribute(DATA_ATTRS.noWrap);
+    const searchField = menuSearchFields.get(activeMenu);
+    
+    // The search field keeps text editing keys; only Tab falls through
+    if (searchField && target === searchField.input) {
+      if (this._handleSearchKeydown(event, dropdown, items) || event.key !== KEYS.TAB) return;
+    }
+    
+    // Virtualized menus navigate their full item list, not just the rendered rows
+    const source = menuSources.get(dropdown);
+    if (source && isExpanded && activeMenu === menu && this._handleSourceKeydown(event, dropdown, searchField)) {
+      return;
+    }
+    
+    // Printable characters jump to matching items; Space joins an active search
+    if (isExpanded && this._isTypeaheadKey(event, dropdown)) {
+      // Searchable menus send typing to their search field instead
+      if (searchField) {
+        searchField.input.focus();
+        return;
+      }
+      event.preventDefault();
+      const match = this._matchTypeahead(dropdown, items.map(item => item.textContent), currentIndex, event.key);
+      items[match]?.focus();
+      return;
+    }
+    
+    const isRTL = this._isRTL(dropdown);
+    const openKey = isRTL ? KEYS.ARROW_LEFT : KEYS.ARROW_RIGHT;
+    const closeKey = isRTL ? KEYS.ARROW_RIGHT : KEYS.ARROW_LEFT;
+    
+    // Parent items open their submenu and focus its first item
+    if (target.classList.contains('btn-dropdown__item') && getSubmenu(target) &&
+        (event.key === openKey || event.key === KEYS.ENTER || event.key === KEYS.SPACE)) {
+      event.preventDefault();
+      if (isMenuItemEnabled(target)) {
+        this._openSubmenu(target, true);
+      }
+      return;
+    }
+    
+    // Leaving a submenu returns focus to its parent item
+    const parentItem = getSubmenuParentItem(activeMenu);
+    if (parentItem && (event.key === closeKey || event.key === KEYS.ESCAPE)) {
+      event.preventDefault();
+      event.stopPropagation();
+      this._closeSubmenu(parentItem);
+      parentItem.focus();
+      return;
+    }
+    
+    switch (event.key) {
+      case KEYS.ESCAPE:
+        if (isExpanded) {
+          this._closeDropdown(dropdown, trigger);
+          trigger.focus();
+          event.preventDefault();
+          event.stopPropagation();
+        }
+        break;
+        
+      case KEYS.ARROW_DOWN:
+        event.preventDefault();
+        if (!isExpanded) {
+          this._openDropdown(trigger, dropdown, menu);
+        } else if (items.length > 0) {
+          const lastIndex = items.length - 1;
+          const nextIndex = currentIndex < lastIndex ? currentIndex + 1 : (wrap ? 0 : lastIndex);
+          items[nextIndex]?.focus();
+        }
+        break;
+        
+      case KEYS.ARROW_UP:
+        event.preventDefault();
+        if (isExpanded && currentIndex === 0 && searchField) {
+          searchField.input.focus();
+        } else if (isExpanded && items.length > 0) {
+          const lastIndex = items.length - 1;
+          let prevIndex = currentIndex > 0 ? currentIndex - 1 : lastIndex;
+          if (currentIndex === 0 && !wrap) {
+            prevIndex = 0;
+          }
+          items[prevIndex]?.focus();
+        }
+        break;
+        
+      case KEYS.HOME:
+        if (isExpanded && items.length > 0) {
+          event.preventDefault();
+          items[0]?.focus();
+        }
+        break;
+        
+      case KEYS.END:
+        if (isExpanded && items.length > 0) {
+          event.preventDefault();
+          items[items.length - 1]?.focus();
+        }
+        break;
+        
+      case KEYS.ENTER:
+      case KEYS.SPACE:
+        if (event.target.classList.contains('btn-dropdown__item')) {
+          event.preventDefault();
+          if (isMenuItemEnabled(event.target)) {
+            this._handleDropdownItemClick(event.target, dropdown, trigger);
+          }
+        }
+        break;
+        
+      case KEYS.TAB:
+        // Close dropdown and allow normal tab behavior
+        if (isExpanded) {
+          // A portaled menu sits at the end of the page, so Tab resumes from the trigger
+          if (portaledMenus.has(dropdown)) {
+            event.preventDefault();
+            this._closeDropdown(dropdown, trigger);
+            trigger.focus();
+          } else {
+            this._closeDropdown(dropdown, trigger);
+          }
+        }
+        break;
+    }
+  }
+  
+  /* ========================================================================
+   * CONTEXT MENUS
+   * ========================================================================
+   * Any .btn-dropdown__menu can open as a context menu for a target
+   * (data-context-menu="menuId" or attachContextMenu). The target stands in
+   * for the dropdown and its trigger, so keyboard handling, `ds:select` events
+   * and outside-click closing are shared with dropdowns. The menu is
+   * portaled while open and returns home when closed.
+   * ======================================================================== */
+  
+  /**
+   * Open a target's context menu at the pointer
+   * @private
+   * @param {MouseEvent} event - The contextmenu event
+   */
+  _handleContextMenu(event) {
+    if (!this._ownsElement(event.target)) return;
+    
+    const contextTarget = findContextTarget(event.target);
+    if (!contextTarget) {
+      this._closeAllDropdowns();
+      return;
+    }
+    
+    // Shift+F10 already opened the menu; browsers follow it with contextmenu
+    const open = openContextMenus.get(contextTarget);
+    if (open && open.point === null) {
+      event.preventDefault();
+      return;
+    }
+    
+    const rect = contextTarget.getBoundingClientRect();
+    const point = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    if (this._openContextMenu(contextTarget, point)) {
+      event.preventDefault();
+    }
+  }
+  
+  /**
+   * Resolve the menu attached to a context menu target
+   * @private
+   * @param {HTMLElement} target - The target
+   * @returns {HTMLElement|null} The menu
+   */
+  _getContextMenu(target) {
+    const menu = contextMenuAttachments.get(target) ||
+      this._getElementById(target.getAttribute(DATA_ATTRS.contextMenu) || '');
+    
+    return menu && menu.matches(SELECTORS.dropdownMenu) ? menu : null;
+  }
+  
+  /**
+   * Open a target's context menu
+   * @private
+   * @param {HTMLElement} target - The target
+   * @param {{x: number, y: number}|null} point - Pointer position within the target,
+   *   null to place the menu next to the target (keyboard)
+   * @returns {boolean} True if a menu opened
+   */
+  _openContextMenu(target, point) {
+    const menu = this._getContextMenu(target);
+    if (!menu) return false;
+    
+    if (!this._dispatchEvent(target, EVENTS.beforeOpen, createEventDetail({ trigger: null, menu }))) {
+      return false;
+    }
+    
+    // Also returns the menu home if a toolbar dropdown or another target has it
+    this._closeAllDropdowns();
+    
+    openContextMenus.set(target, { point });
+    this._openDropdowns.add(target);
+    
+    this._portalMenu(target, menu);
+    this._startPositioning(target, menu);
+    this._focusInitialItem(menu);
+    
+    return true;
+  }
+  
+  /* ========================================================================
+   * CHECKABLE MENU ITEMS
+   * ========================================================================
+   * Items with role="menuitemcheckbox" flip aria-checked on activation;
+   * role="menuitemradio" items check one item per set, where a set is the
+   * nearest role="group" or else the menu. Groups are labelled by their
+   * heading. Separators and headings are not items, so navigation and
+   * typeahead pass over them.
+   * ======================================================================== */
+  
+  /**
+   * Apply roles to menu groups and separators and default checked states
+   * @private
+   * @param {Node} [scope=this._root] - Subtree to set up
+   */
+  _initMenuItems(scope = this._root) {
+    this._queryAll(SELECTORS.menuSeparator, scope).forEach(separator => {
+      separator.setAttribute('role', 'separator');
+    });
+    
+    this._queryAround(SELECTORS.menuGroup, scope).forEach(group => {
+      group.setAttribute('role', 'group');
+      
+      const heading = group.querySelector(`:scope > ${SELECTORS.menuHeading}`);
+      if (!heading || group.hasAttribute('aria-label') || group.hasAttribute(ARIA.labelledby)) return;
+      
+      if (!heading.id) {
+        heading.id = `btn-menu-heading-${++menuHeadingId}`;
+      }
+      group.setAttribute(ARIA.labelledby, heading.id);
+      
+      // The group announces the heading, so it is not read twice
+      heading.setAttribute('aria-hidden', 'true');
+    });
+    
+    this._queryAll(`${SELECTORS.dropdownMenu} ${SELECTORS.dropdownItem}`, scope).forEach(item => {
+      if (isCheckableItem(item) && !item.hasAttribute(ARIA.checked)) {
+        item.setAttribute(ARIA.checked, 'false');
+      }
+    });
+  }
+  
+  /**
+   * Toggle a checkbox item, or check a radio item and clear its set
+   * @private
+   * @param {HTMLElement} item - A menuitemcheckbox or menuitemradio item
+   * @returns {boolean} The item's checked state afterwards
+   */
+  _toggleMenuItem(item) {
+    if (item.getAttribute('role') === 'menuitemradio') {
+      getRadioSet(item).forEach(radio => {
+        radio.setAttribute(ARIA.checked, String(radio === item));
+      });
+      return true;
+    }
+    
+    const checked = item.getAttribute(ARIA.checked) !== 'true';
+    item.setAttribute(ARIA.checked, String(checked));
+    
+    return checked;
+  }
+  
+  /* ========================================================================
+   * SUBMENUS
+   * ========================================================================
+   * A .btn-dropdown__submenu wraps a parent item and a nested menu. One
+   * submenu per level is open at a time; closing a menu closes its chain.
+   * ======================================================================== */
+  
+  /**
+   * Link submenu parent items to their menus
+   * @private
+   * @param {Node} [scope=this._root] - Subtree to set up
+   */
+  _initSubmenus(scope = this._root) {
+    this._queryAround(SELECTORS.submenu, scope).forEach(container => {
+      const item = container.querySelector(`:scope > ${SELECTORS.dropdownItem}`);
+      const submenu = container.querySelector(`:scope > ${SELECTORS.dropdownMenu}`);
+      if (!item || !submenu) return;
+      
+      if (!submenu.id) {
+        submenu.id = `btn-submenu-${++submenuId}`;
+      }
+      item.setAttribute(ARIA.haspopup, 'menu');
+      item.setAttribute(ARIA.expanded, 'false');
+      item.setAttribute(ARIA.controls, submenu.id);
+    });
+  }
+  
+  /**
+   * Open the submenu of a parent item, closing its open siblings
+   * @private
+   * @param {HTMLElement} item - The parent item
+   * @param {boolean} [focusFirst=false] - Move focus into the submenu (keyboard)
+   */
+  _openSubmenu(item, focusFirst = false) {
+    const submenu = getSubmenu(item);
+    if (!submenu) return;
+    
+    const menu = item.closest(SELECTORS.dropdownMenu);
+    if (menu) {
+      this._closeSubmenus(menu, item);
+    }
+    
+    item.setAttribute(ARIA.expanded, 'true');
+    
+    requestAnimationFrame(() => {
+      if (!isElementConnected(submenu)) return;
+      
+      this._positionSubmenu(item, submenu);
+      
+      const first = focusFirst ? this._getDropdownItems(submenu).find(isMenuItemEnabled) : null;
+      if (first) {
+        setTimeout(() => {
+          if (isElementConnected(first)) {
+            first.focus();
+          }
+        }, this._config.defaults.focusDelay);
+      }
+    });
+  }
+  
+  /**
+   * Close the submenu of a parent item and everything below it
+   * @private
+   * @param {HTMLElement} item - The parent item
+   */
+  _closeSubmenu(item) {
+    const submenu = getSubmenu(item);
+    if (submenu) {
+      this._closeSubmenus(submenu);
+    }
+    
+    item.setAttribute(ARIA.expanded, 'false');
+  }
+  
+  /**
+   * Close every open submenu of a menu's items
+   * @private
+   * @param {HTMLElement} menu - The menu
+   * @param {HTMLElement} [except] - Parent item to leave open
+   */
+  _closeSubmenus(menu, except = null) {
+    this._getDropdownItems(menu).forEach(item => {
+      if (item !== except && item.getAttribute(ARIA.expanded) === 'true' && getSubmenu(item)) {
+        this._closeSubmenu(item);
+      }
+    });
+  }
+  
+  /**
+   * Place a submenu beside its parent item, flipping to the other side
+   * when it would overflow
+   * @private
+   * @param {HTMLElement} item - The parent item
+   * @param {HTMLElement} submenu - The submenu
+   */
+  _positionSubmenu(item, submenu) {
+    const isRTL = this._isRTL(item);
+    
+    this._placeMenu(item, submenu, {
+      placement: isRTL ? 'left-start' : 'right-start',
+      offset: 0,
+      boundary: null,
+      clipAncestors: !item.closest(SELECTORS.portalMenu)
+    });
+  }
+  
+  /**
+   * Open or close submenus after the pointer rests on an item
+   * A debounce, not a safe triangle: each item entered restarts the
+   * submenuDelay wait, so crossing a sibling on the way into an open
+   * submenu only closes it if the pointer stays on the sibling that long.
+   * @private
+   * @param {PointerEvent} event - The pointerover event
+   */
+  _handleMenuHover(event) {
+    if (event.pointerType === 'touch') return;
+    
+    const item = event.target.closest && event.target.closest(SELECTORS.dropdownItem);
+    if (!item || !this._ownsElement(item)) return;
+    
+    const menu = item.closest(SELECTORS.dropdownMenu);
+    if (!menu) return;
+    
+    clearTimeout(this._hoverTimer);
+    this._hoverTimer = setTimeout(() => {
+      this._hoverTimer = null;
+      if (!isElementConnected(item)) return;
+      
+      if (getSubmenu(item) && isMenuItemEnabled(item)) {
+        this._openSubmenu(item);
+      } else {
+        this._closeSubmenus(menu);
+      }
+    }, this._config.defaults.submenuDelay);
+  }
+  
+  /**
+   * Check if a key press should feed the menu typeahead
+   * @private
+   * @param {KeyboardEvent} event - The keyboard event
+   * @param {HTMLElement} dropdown - The dropdown container
+   * @returns {boolean} True for printable characters without modifiers
+   */
+  _isTypeaheadKey(event, dropdown) {
+    if (event.key.length !== 1 || event.ctrlKey || event.metaKey || event.altKey) {
+      return false;
+    }
+    
+    if (event.key === KEYS.SPACE) {
+      const state = menuTypeahead.get(dropdown);
+      return Boolean(state && state.buffer);
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Find the next item whose label starts with the typed text
+   * Characters typed within the typeaheadTimeout default of each other form
+   * one search; repeating a single character cycles through its matches.
+   * @private
+   * @param {HTMLElement} dropdown - The dropdown container
+   * @param {string[]} labels - Labels of the enabled menu items
+   * @param {number} currentIndex - Index of the focused item, -1 if none
+   * @param {string} key - The typed character
+   * @returns {number} Index of the matching label, -1 if none
+   */
+  _matchTypeahead(dropdown, labels, currentIndex, key) {
+    const state = menuTypeahead.get(dropdown) || { buffer: '', timer: null };
+    clearTimeout(state.timer);
+    state.buffer += key.toLowerCase();
+    state.timer = setTimeout(() => {
+      state.buffer = '';
+      state.timer = null;
+    }, this._config.defaults.typeaheadTimeout);
+    menuTypeahead.set(dropdown, state);
+    
+    const { buffer } = state;
+    const search = Array.from(buffer).every(char => char === buffer[0]) ? buffer[0] : buffer;
+    
+    // A new search starts after the focused item; a longer one may keep it
+    const start = search.length === 1 ? currentIndex + 1 : Math.max(currentIndex, 0);
+    for (let offset = 0; offset < labels.length; offset++) {
+      const index = (start + offset) % labels.length;
+      if (labels[index].replace(/\s+/g, ' ').trim().toLowerCase().startsWith(search)) {
+        return index;
+      }
+    }
+    
+    return -1;
+  }
+  
+  /* ========================================================================
+   * SEARCHABLE MENUS
+   * ========================================================================
+   * A dropdown or menu with data-searchable gets a search field at the top
+   * of its menu. Typing hides items whose label does not contain the text
+   * (ignoring case and diacritics), highlights the match and shows an empty
+   * state. The field takes focus on open; ArrowDown moves into the results
+   * and ArrowUp on the first result returns to the field. Closing the
+   * dropdown clears the filter.
+   * ======================================================================== */
+  
+  /**
+   * Get a searchable menu's search field, creating it on first use
+   * @private
+   * @param {HTMLElement} dropdown - The dropdown (or context menu target)
+   * @param {HTMLElement} menu - The menu
+   * @returns {SearchField|null} The field, or null if the menu is not searchable
+   */
+  _getSearchField(dropdown, menu) {
+    const existing = menuSearchFields.get(menu);
+    if (existing) return existing;
+    
+    const host = [menu, dropdown].find(element => element.hasAttribute(DATA_ATTRS.searchable));
+    if (!host) return null;
+    
+    const doc = menu.ownerDocument;
+    const label = host.getAttribute(DATA_ATTRS.searchable) || this._t('search');
+    
+    const wrapper = doc.createElement('div');
+    wrapper.className = 'btn-dropdown__search';
+    wrapper.setAttribute('role', 'none');
+    
+    const input = doc.createElement('input');
+    input.type = 'search';
+    input.className = 'btn-dropdown__search-input';
+    input.placeholder = label;
+    input.autocomplete = 'off';
+    input.spellcheck = false;
+    input.setAttribute('aria-label', label);
+    wrapper.append(input);
+    
+    const empty = doc.createElement('div');
+    empty.className = 'btn-dropdown__empty';
+    empty.setAttribute('role', 'none');
+    empty.textContent = this._t('noResults');
+    empty.hidden = true;
+    
+    menu.prepend(wrapper);
+    menu.append(empty);
+    
+    const field = { input, empty, filtered: new Set() };
+    menuSearchFields.set(menu, field);
+    
+    return field;
+  }
+  
+  /**
+   * Filter a menu as its search field changes and announce the result
+   * @private
+   * @param {InputEvent} event - The input event
+   */
+  _handleSearchInput(event) {
+    const input = event.target;
+    if (!input.matches || !input.matches(SELECTORS.searchInput) || !this._ownsElement(input)) return;
+    
+    const menu = input.closest(SELECTORS.dropdownMenu);
+    if (!menu || !menuSearchFields.has(menu)) return;
+    
+    // A menu source does its own filtering once typing pauses
+    const dropdown = getOwningDropdown(menu);
+    const source = dropdown && menuSources.get(dropdown);
+    if (source) {
+      const { defaults } = this._config;
+      const delay = parseDuration(
+        dropdown.getAttribute(DATA_ATTRS.searchDebounce),
+        defaults.searchDebounce,
+        0,
+        defaults.maxDuration
+      );
+      
+      clearTimeout(source.debounce);
+      source.debounce = setTimeout(() => {
+        this._loadMenuSource(dropdown, input.value.trim());
+      }, delay);
+      return;
+    }
+    
+    const count = this._filterMenu(menu, input.value);
+    if (input.value.trim()) {
+      this._announce(count > 0 ? this._t('results', { count }) : this._t('noResults'), 'polite', dropdown);
+    }
+  }
+  
+  /**
+   * Show only the menu's items that match a query
+   * Submenus and groups hide with their items; separators hide while
+   * filtering, since the sections they divide may be gone.
+   * @private
+   * @param {HTMLElement} menu - A searchable menu
+   * @param {string} query - The search text (empty shows every item)
+   * @returns {number} Number of matching items
+   */
+  _filterMenu(menu, query) {
+    const field = menuSearchFields.get(menu);
+    const search = foldText(query.replace(/\s+/g, ' ').trim()).folded;
+    const isOwn = element => element.closest(SELECTORS.dropdownMenu) === menu;
+    
+    // Only elements hidden by the filter are shown again; app-hidden ones stay hidden
+    field.filtered.forEach(element => {
+      element.hidden = false;
+    });
+    field.filtered.clear();
+    const hide = element => {
+      if (!element.hidden) {
+        element.hidden = true;
+        field.filtered.add(element);
+      }
+    };
+    
+    this._closeSubmenus(menu);
+    
+    const visible = this._getDropdownItems(menu, true).filter(item => {
+      const matches = !search || foldText(item.textContent.replace(/\s+/g, ' ')).folded.includes(search);
+      
+      clearHighlight(item);
+      if (!matches) {
+        hide(getSubmenu(item) ? item.parentElement : item);
+        return false;
+      }
+      if (search) {
+        highlightMatch(item, search);
+      }
+      return !isItemHidden(item);
+    });
+    
+    if (search) {
+      menu.querySelectorAll(SELECTORS.menuGroup).forEach(group => {
+        if (isOwn(group) && !visible.some(item => group.contains(item))) {
+          hide(group);
+        }
+      });
+      menu.querySelectorAll(SELECTORS.menuSeparator).forEach(separator => {
+        if (isOwn(separator)) {
+          hide(separator);
+        }
+      });
+    }
+    
+    field.empty.hidden = !search || visible.length > 0;
+    
+    return visible.length;
+  }
+  
+  /**
+   * Clear a menu's search field and show every item again
+   * @private
+   * @param {HTMLElement} menu - The menu
+   */
+  _resetSearch(menu) {
+    const field = menuSearchFields.get(menu);
+    if (!field || (!field.input.value && field.filtered.size === 0)) return;
+    
+    field.input.value = '';
+    this._filterMenu(menu, '');
+  }
+  
+  /**
+   * Handle navigation keys in a menu's search field
+   * @private
+   * @param {KeyboardEvent} event - The keyboard event
+   * @param {HTMLElement} dropdown - The dropdown container
+   * @param {HTMLElement[]} items - Visible, enabled items of the menu
+   * @returns {boolean} True if the key was handled
+   */
+  _handleSearchKeydown(event, dropdown, items) {
+    const input = event.target;
+    const menu = input.closest(SELECTORS.dropdownMenu);
+    const source = menuSources.get(dropdown);
+    
+    switch (event.key) {
+      case KEYS.ARROW_DOWN:
+        event.preventDefault();
+        if (source) {
+          this._focusSourceIndex(dropdown, findSourceIndex(source, 0, 1));
+        } else {
+          items[0]?.focus();
+        }
+        return true;
+        
+      case KEYS.ARROW_UP:
+        event.preventDefault();
+        if (dropdown.hasAttribute(DATA_ATTRS.noWrap)) {
+          return true;
+        }
+        if (source) {
+          this._focusSourceIndex(dropdown, findSourceIndex(source, source.items.length - 1, -1));
+        } else {
+          items[items.length - 1]?.focus();
+        }
+        return true;
+        
+      case KEYS.ENTER: {
+        // Enter picks the first result, which keeps forms from submitting
+        event.preventDefault();
+        const first = input.value.trim() ? items[0] : null;
+        if (first && getSubmenu(first)) {
+          this._openSubmenu(first, true);
+        } else if (first) {
+          this._handleDropdownItemClick(first, dropdown, getDropdownTrigger(dropdown));
+        }
+        return true;
+      }
+        
+      case KEYS.ESCAPE:
+        // The first Escape clears the query, the next closes the menu
+        if (input.value) {
+          event.preventDefault();
+          event.stopPropagation();
+          input.value = '';
+          this._filterMenu(menu, '');
+          return true;
+        }
+        if (this._openDropdowns.has(dropdown)) {
+          event.preventDefault();
+          event.stopPropagation();
+          const trigger = getDropdownTrigger(dropdown);
+          this._closeDropdown(dropdown, trigger);
+          trigger?.focus();
+        }
+        return true;
+        
+      default:
+        return false;
+    }
+  }
+  
+  /* ========================================================================
+   * MENU SOURCES
+   * ========================================================================
+   * setMenuSource() replaces a dropdown's items with the results of a
+   * callback, loaded on open and (in searchable menus) as the query
+   * changes. The menu shows a loading state, and an error with a retry
+   * button when the source fails. Rows are virtualized: only those near
+   * the visible part of the menu exist, padded to the full list height,
+   * with aria-setsize/aria-posinset describing the whole list. Keyboard
+   * navigation works on the item data and scrolls rows into existence.
+   * ======================================================================== */
+  
+  /**
+   * Replace a menu's content with the containers a source renders into
+   * @private
+   * @param {HTMLElement} dropdown - The dropdown container
+   * @param {HTMLElement} menu - The dropdown menu
+   * @param {MenuSource} source - The item callback
+   */
+  _initMenuSource(dropdown, menu, source) {
+    const doc = menu.ownerDocument;
+    
+    // Keep a search field; static items give way to the source
+    Array.from(menu.children).forEach(child => {
+      if (!child.matches('.btn-dropdown__search, .btn-dropdown__empty')) {
+        child.remove();
+      }
+    });
+    
+    const message = doc.createElement('div');
+    message.className = 'btn-dropdown__status';
+    message.setAttribute('role', 'none');
+    message.hidden = true;
+    
+    const list = doc.createElement('div');
+    list.className = 'btn-dropdown__list';
+    list.setAttribute('role', 'none');
+    
+    const search = menu.querySelector(':scope > .btn-dropdown__search');
+    if (search) {
+      search.after(message, list);
+    } else {
+      menu.prepend(message, list);
+    }
+    
+    // Holds focus while the focused row is scrolled out of the DOM
+    menu.tabIndex = -1;
+    dropdownItemCache.delete(menu);
+    
+    menuSources.set(dropdown, {
+      source,
+      items: [],
+      status: 'idle',
+      query: '',
+      request: 0,
+      debounce: null,
+      rowHeight: this._config.defaults.virtualRowHeight,
+      measured: false,
+      activeIndex: -1,
+      rows: new Map(),
+      list,
+      message
+    });
+  }
+  
+  /**
+   * Load a source's unfiltered items on open, unless they are already shown
+   * @private
+   * @param {HTMLElement} dropdown - The dropdown container
+   */
+  _refreshMenuSource(dropdown) {
+    const state = menuSources.get(dropdown);
+    
+    if (state.status === 'ready' && !state.query) {
+      this._renderSourceRows(dropdown);
+    } else {
+      this._loadMenuSource(dropdown, '');
+    }
+  }
+  
+  /**
+   * Call a menu source and render its items, or an error with retry
+   * Only the latest load renders; results of earlier ones are dropped.
+   * @private
+   * @param {HTMLElement} dropdown - The dropdown container
+   * @param {string} query - Search text passed to the source
+   * @returns {Promise<void>} Resolves once the load has rendered
+   */
+  _loadMenuSource(dropdown, query) {
+    const state = menuSources.get(dropdown);
+    if (!state) return Promise.resolve();
+    
+    clearTimeout(state.debounce);
+    state.debounce = null;
+    state.request += 1;
+    state.status = 'loading';
+    state.query = query;
+    state.items = [];
+    
+    const request = state.request;
+    
+    this._renderSourceStatus(dropdown);
+    this._renderSourceRows(dropdown);
+    
+    return Promise.resolve()
+      .then(() => state.source(query))
+      .then(items => {
+        if (request !== state.request) return;
+        
+        state.items = Array.from(items || [], normalizeSourceItem);
+        state.status = 'ready';
+        state.activeIndex = -1;
+        
+        const menu = getDropdownMenu(dropdown);
+        if (menu) {
+          menu.scrollTop = 0;
+        }
+        this._renderSourceStatus(dropdown);
+        this._renderSourceRows(dropdown);
+        
+        if (query) {
+          this._announce(state.items.length > 0
+            ? this._t('results', { count: state.items.length })
+            : this._t('noResults'), 'polite', dropdown);
+        }
+        
+        // Items arriving after open take focus unless the user moved into the menu
+        const active = this._getActiveElement();
+        if (menu && this._openDropdowns.has(dropdown) && (active === menu || !menu.contains(active))) {
+          this._focusInitialItem(menu);
+        }
+      }, () => {
+        if (request !== state.request) return;
+        
+        state.status = 'error';
+        this._renderSourceStatus(dropdown);
+        this._announce(this._t('menuError'), 'assertive');
+        
+        const menu = getDropdownMenu(dropdown);
+        const active = this._getActiveElement();
+        const retry = state.message.querySelector(SELECTORS.menuRetry);
+        if (menu && retry && this._openDropdowns.has(dropdown) && (active === menu || !menu.contains(active))) {
+          retry.focus();
+        }
+      });
+  }
+  
+  /**
+   * Show the loading, error or empty state of a menu source
+   * @private
+   * @param {HTMLElement} dropdown - The dropdown container
+   */
+  _renderSourceStatus(dropdown) {
+    const state = menuSources.get(dropdown);
+    const menu = getDropdownMenu(dropdown);
+    if (!state || !menu) return;
+    
+    const { message, status } = state;
+    
+    // The retry button is about to go; keep focus inside the menu
+    if (message.contains(this._getActiveElement())) {
+      menu.focus({ preventScroll: true });
+    }
+    
+    menu.setAttribute(ARIA.busy, String(status === 'loading'));
+    message.replaceChildren();
+    message.hidden = status === 'idle' || (status === 'ready' && state.items.length > 0);
+    
+    if (status === 'loading') {
+      message.textContent = this._t('menuLoading');
+    } else if (status === 'error') {
+      const retry = menu.ownerDocument.createElement('button');
+      retry.type = 'button';
+      retry.className = 'btn-dropdown__retry';
+      retry.textContent = this._t('retryLabel');
+      message.append(this._t('menuError'), ' ', retry);
+    } else if (status === 'ready') {
+      message.textContent = this._t('noResults');
+    }
+  }
+  
+  /**
+   * Render the rows of a menu source that fall in or near the visible area
+   * Existing rows are never moved, so a focused row keeps focus.
+   * @private
+   * @param {HTMLElement} dropdown - The dropdown container
+   */
+  _renderSourceRows(dropdown) {
+    const state = menuSources.get(dropdown);
+    const menu = getDropdownMenu(dropdown);
+    if (!state || !menu) return;
+    
+    const { items, rows, list, rowHeight } = state;
+    const overscan = this._config.defaults.virtualOverscan;
+    const scrollTop = Math.max(0, menu.scrollTop - list.offsetTop);
+    const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+    const end = Math.min(items.length, Math.ceil((scrollTop + menu.clientHeight) / rowHeight) + overscan);
+    
+    // Drop rows outside the window (a new load empties it first)
+    rows.forEach((row, index) => {
+      if (index >= start && index < end) return;
+      
+      if (row.contains(this._getActiveElement())) {
+        menu.focus({ preventScroll: true });
+      }
+      row.remove();
+      rows.delete(index);
+    });
+    
+    let previous = null;
+    for (let index = start; index < end; index++) {
+      let row = rows.get(index);
+      if (!row) {
+        row = this._createSourceRow(state, index);
+        rows.set(index, row);
+        if (previous) {
+          previous.after(row);
+        } else {
+          list.prepend(row);
+        }
+      }
+      previous = row;
+    }
+    
+    list.style.paddingTop = `${start * rowHeight}px`;
+    list.style.paddingBottom = `${Math.max(0, items.length - end) * rowHeight}px`;
+    dropdownItemCache.delete(menu);
+    
+    // Rows can only be measured once laid out; re-render with the real height
+    const first = rows.get(start);
+    if (!state.measured && first && first.offsetHeight > 0) {
+      state.measured = true;
+      if (first.offsetHeight !== rowHeight) {
+        state.rowHeight = first.offsetHeight;
+        this._renderSourceRows(dropdown);
+      }
+    }
+  }
+  
+  /**
+   * Create the row for one item of a menu source
+   * @private
+   * @param {MenuSourceState} state - The menu source state
+   * @param {number} index - Index of the item
+   * @returns {HTMLElement} The row
+   */
+  _createSourceRow(state, index) {
+    const item = state.items[index];
+    const row = state.list.ownerDocument.createElement('button');
+    
+    row.type = 'button';
+    row.className = 'btn-dropdown__item';
+    row.setAttribute('role', 'menuitem');
+    row.setAttribute(DATA_ATTRS.value, item.value);
+    row.setAttribute(DATA_ATTRS.index, String(index));
+    row.setAttribute('aria-setsize', String(state.items.length));
+    row.setAttribute('aria-posinset', String(index + 1));
+    row.textContent = item.label;
+    
+    if (item.disabled) {
+      row.setAttribute(ARIA.disabled, 'true');
+    }
+    
+    if (state.query) {
+      highlightMatch(row, foldText(state.query).folded);
+    }
+    
+    return row;
+  }
+  
+  /**
+   * Scroll an item of a menu source into view and focus its row
+   * @private
+   * @param {HTMLElement} dropdown - The dropdown container
+   * @param {number} index - Index of the item, -1 to do nothing
+   */
+  _focusSourceIndex(dropdown, index) {
+    const state = menuSources.get(dropdown);
+    const menu = getDropdownMenu(dropdown);
+    if (!state || !menu || index < 0 || index >= state.items.length) return;
+    
+    const { rowHeight } = state;
+    const top = state.list.offsetTop + index * rowHeight;
+    const search = menu.querySelector(':scope > .btn-dropdown__search');
+    const headerHeight = search ? search.offsetHeight : 0;
+    
+    // The sticky search field covers the top of the scroll area
+    if (top - headerHeight < menu.scrollTop) {
+      menu.scrollTop = top - headerHeight;
+    } else if (top + rowHeight > menu.scrollTop + menu.clientHeight) {
+      menu.scrollTop = top + rowHeight - menu.clientHeight;
+    }
+    
+    this._renderSourceRows(dropdown);
+    state.activeIndex = index;
+    state.rows.get(index)?.focus();
+  }
+  
+  /**
+   * Handle navigation keys in a virtualized menu
+   * Arrow keys, Home, End and typeahead move over the full item list.
+   * @private
+   * @param {KeyboardEvent} event - The keyboard event
+   * @param {HTMLElement} dropdown - The dropdown container
+   * @param {SearchField|undefined} searchField - The menu's search field
+   * @returns {boolean} True if the key was handled
+   */
+  _handleSourceKeydown(event, dropdown, searchField) {
+    const state = menuSources.get(dropdown);
+    const menu = getDropdownMenu(dropdown);
+    const active = this._getActiveElement();
+    const last = state.items.length - 1;
+    const wrap = !dropdown.hasAttribute(DATA_ATTRS.noWrap);
+    
+    // A row scrolled out of the DOM left focus on the menu itself
+    let current = -1;
+    if (active === menu) {
+      current = state.activeIndex;
+    } else if (active && state.list.contains(active)) {
+      current = Number(active.getAttribute(DATA_ATTRS.index));
+    }
+    
+    const first = findSourceIndex(state, 0, 1);
+    let index;
+    
+    switch (event.key) {
+      case KEYS.ARROW_DOWN:
+        index = findSourceIndex(state, current + 1, 1);
+        if (index === -1) {
+          index = wrap ? first : current;
+        }
+        break;
+        
+      case KEYS.ARROW_UP:
+        if (current === first && searchField) {
+          event.preventDefault();
+          searchField.input.focus();
+          return true;
+        }
+        index = current === -1 ? -1 : findSourceIndex(state, current - 1, -1);
+        if (index === -1) {
+          index = wrap || current === -1 ? findSourceIndex(state, last, -1) : current;
+        }
+        break;
+        
+      case KEYS.HOME:
+        index = first;
+        break;
+        
+      case KEYS.END:
+        index = findSourceIndex(state, last, -1);
+        break;
+        
+      default: {
+        if (searchField || !this._isTypeaheadKey(event, dropdown)) {
+          return false;
+        }
+        const enabled = [];
+        state.items.forEach((item, itemIndex) => {
+          if (!item.disabled) {
+            enabled.push(itemIndex);
+          }
+        });
+        const match = this._matchTypeahead(
+          dropdown,
+          enabled.map(itemIndex => state.items[itemIndex].label),
+          enabled.indexOf(current),
+          event.key
+        );
+        index = match === -1 ? -1 : enabled[match];
+      }
+    }
+    
+    event.preventDefault();
+    this._focusSourceIndex(dropdown, index);
+    
+    return true;
+  }
+  
+  /**
+   * Re-render a virtualized menu's rows as it scrolls
+   * @private
+   * @param {Event} event - The scroll event (captured from the menu)
+   */
+  _handleMenuScroll(event) {
+    const menu = event.target;
+    if (!menu.matches || !menu.matches(SELECTORS.dropdownMenu) || !this._ownsElement(menu)) return;
+    
+    const dropdown = getOwningDropdown(menu);
+    if (dropdown && menuSources.has(dropdown)) {
+      this._renderSourceRows(dropdown);
+    }
+  }
+  
+  /* ========================================================================
+   * FORM PARTICIPATION
+   * ========================================================================
+   * Toggle groups and dropdowns with a `name` attribute submit their value
+   * through generated hidden inputs (one per value), restore their initial
+   * state on form reset and validate `required` with a visually hidden
+   * proxy input.
+   * ======================================================================== */
+  
+  /**
+   * Create form fields for the named toggle groups and dropdowns in the root
+   * @private
+   * @param {Node} [scope=this._root] - Subtree to set up
+   */
+  _initFormFields(scope = this._root) {
+    const seenGroups = new Set();
+    Array.from(this._formFields.values()).forEach(field => seenGroups.add(field.group));
+    
+    this._queryAll(`[${DATA_ATTRS.toggleGroup}]`, scope).forEach(button => {
+      const groupName = button.getAttribute(DATA_ATTRS.toggleGroup);
+      if (seenGroups.has(groupName) || !isValidGroupName(groupName)) {
+        return;
+      }
+      seenGroups.add(groupName);
+      
+      const config = this._getToggleGroupConfig(groupName);
+      if (config.name) {
+        const anchor = config.container || config.buttons[config.buttons.length - 1];
+        this._createFormField(config.container || config.buttons[0], groupName, anchor);
+      }
+    });
+    
+    this._queryAll(`${SELECTORS.dropdown}[name]`, scope).forEach(dropdown => {
+      if (!this._formFields.has(dropdown)) {
+        this._createFormField(dropdown, null, null);
+      }
+    });
+  }
+  
+  /**
+   * Register a form field, capturing its current value as the reset default
+   * @private
+   * @param {HTMLElement} host - Element carrying the name
+   * @param {string|null} group - Toggle group name, null for dropdowns
+   * @param {HTMLElement|null} anchor - Inputs go after this element; inside host if null
+   * @returns {FormField} The field
+   */
+  _createFormField(host, group, anchor) {
+    const wrapper = this._getDocument().createElement('span');
+    wrapper.className = 'btn-form-field';
+    
+    if (anchor) {
+      anchor.after(wrapper);
+    } else {
+      host.appendChild(wrapper);
+    }
+    
+    const field = { host, group, defaultValue: [], wrapper };
+    field.defaultValue = this._readFormField(field).values;
+    
+    this._formFields.set(host, field);
+    this._syncFormField(field);
+    
+    return field;
+  }
+  
+  /**
+   * Read a field's current name, required flag and values
+   * @private
+   * @param {FormField} field - The field
+   * @returns {{name: string|null, required: boolean, values: string[]}} Field state
+   */
+  _readFormField(field) {
+    if (field.group) {
+      const config = this._getToggleGroupConfig(field.group);
+      return {
+        name: config.name,
+        required: config.required,
+        values: this._readGroupValue(config.buttons)
+      };
+    }
+    
+    return {
+      name: field.host.getAttribute('name'),
+      required: field.host.hasAttribute('required'),
+      values: readDropdownValue(field.host)
+    };
+  }
+  
+  /**
+   * Rebuild a field's hidden inputs and validity from its current value
+   * @private
+   * @param {FormField} field - The field
+   */
+  _syncFormField(field) {
+    const { name, required, values } = this._readFormField(field);
+    const doc = this._getDocument();
+    
+    const inputs = !name ? [] : values.map(value => {
+      const input = doc.createElement('input');
+      input.type = 'hidden';
+      input.name = name;
+      input.value = value;
+      return input;
+    });
+    
+    if (required) {
+      // Hidden inputs are never validated, so a focusable proxy carries the error
+      const proxy = doc.createElement('input');
+      proxy.className = 'btn-form-proxy';
+      proxy.tabIndex = -1;
+      proxy.setAttribute('aria-hidden', 'true');
+      proxy.defaultValue = values.join(',');
+      proxy.setCustomValidity(values.length > 0 ? '' : this._t('required'));
+      
+      const { signal } = this._abortController;
+      proxy.addEventListener('invalid', () => this._setFieldInvalid(field, true), { signal });
+      proxy.addEventListener('focus', () => this._focusInvalidField(field, proxy), { signal });
+      inputs.push(proxy);
+    }
+    
+    // Honor the form attribute for groups placed outside their form
+    const formId = field.host.getAttribute('form');
+    if (formId) {
+      inputs.forEach(input => input.setAttribute('form', formId));
+    }
+    
+    field.wrapper.replaceChildren(...inputs);
+    
+    if (values.length > 0) {
+      this._setFieldInvalid(field, false);
+    }
+  }
+  
+  /**
+   * Get the element that takes focus for a field
+   * @private
+   * @param {FormField} field - The field
+   * @returns {HTMLElement|null} The group's tab stop or the dropdown trigger
+   */
+  _getFieldFocusTarget(field) {
+    if (field.group) {
+      const buttons = this._getToggleGroupButtons(field.group).filter(btn => !btn.disabled);
+      return buttons.find(btn => btn.tabIndex === 0) || buttons[0] || null;
+    }
+    
+    return field.host.querySelector(`${SELECTORS.dropdownTrigger}, ${SELECTORS.splitDropdown}`);
+  }
+  
+  /**
+   * Mark or clear a field as invalid
+   * @private
+   * @param {FormField} field - The field
+   * @param {boolean} invalid - New state
+   */
+  _setFieldInvalid(field, invalid) {
+    const target = field.group ? field.host : this._getFieldFocusTarget(field);
+    if (!target) return;
+    
+    if (invalid) {
+      target.setAttribute('aria-invalid', 'true');
+    } else {
+      target.removeAttribute('aria-invalid');
+    }
+  }
+  
+  /**
+   * Move focus from a proxy input (focused by form validation) to its field
+   * @private
+   * @param {FormField} field - The field
+   * @param {HTMLInputElement} proxy - The proxy input
+   */
+  _focusInvalidField(field, proxy) {
+    const target = this._getFieldFocusTarget(field);
+    if (target) {
+      target.focus();
+    }
+    
+    this._announce(proxy.validationMessage, 'assertive');
+  }
+  
+  /**
+   * Find the form a field submits with
+   * @private
+   * @param {FormField} field - The field
+   * @returns {HTMLFormElement|null} The form
+   */
+  _getFieldForm(field) {
+    const formId = field.host.getAttribute('form');
+    return formId ? this._getElementById(formId) : field.host.closest('form');
+  }
+  
+  /**
+   * Restore the initial value of fields in a form being reset
+   * @private
+   * @param {Event} event - The form's reset event
+   */
+  _handleFormReset(event) {
+    this._formFields.forEach(field => {
+      if (this._getFieldForm(field) !== event.target) return;
+      
+      if (field.group) {
+        this._setGroupValue(field.group, field.defaultValue, { restoring: true });
+      } else {
+        this._setDropdownValue(field.host, field.defaultValue[0] || null);
+      }
+      
+      this._syncFormField(field);
+      this._setFieldInvalid(field, false);
+    });
+  }
+  
+  /**
+   * Store a dropdown's value, updating its selection and form field
+   * @private
+   * @param {HTMLElement} dropdown - The .btn-dropdown element
+   * @param {string|null} value - New value, null to clear
+   */
+  _setDropdownValue(dropdown, value) {
+    // Dropdowns rendered after init (e.g. <ds-dropdown>) register on first use
+    if (this._initialized && !this._formFields.has(dropdown) && dropdown.hasAttribute('name')) {
+      this._createFormField(dropdown, null, null);
+    }
+    
+    if (value) {
+      dropdown.setAttribute(DATA_ATTRS.value, value);
+    } else {
+      dropdown.removeAttribute(DATA_ATTRS.value);
+    }
+    
+    if (dropdown.hasAttribute(DATA_ATTRS.select)) {
+      renderDropdownSelection(dropdown);
+    }
+    
+    const field = this._formFields.get(dropdown);
+    if (field) {
+      this._syncFormField(field);
+    }
+  }
+  
+  /* ========================================================================
+   * CONFIRMATION
+   * ========================================================================
+   * data-confirm="hold" buttons activate only after being pressed (pointer,
+   * or Space/Enter held down) for data-confirm-duration while a fill shows
+   * progress. data-confirm="twice" buttons show data-confirm-text and wait
+   * for a second click until the timeout. Unconfirmed clicks are stopped
+   * before any other handling, including form submission; a committed one
+   * fires ds:confirm and then goes through as a normal click.
+   * ======================================================================== */
+  
+  /**
+   * Let a click through only if it commits a confirmation
+   * @private
+   * @param {HTMLElement} button - The data-confirm button
+   * @param {MouseEvent} event - Click event
+   * @returns {boolean} True if the click may proceed
+   */
+  _handleConfirmClick(button, event) {
+    const state = confirmStates.get(button);
+    
+    // The click a completed hold sends
+    if (state && state.passThrough) {
+      state.passThrough = false;
+      return true;
+    }
+    
+    event.preventDefault();
+    
+    if (getConfirmMode(button) === 'hold') {
+      if (state && state.completed) {
+        state.completed = false;
+      } else {
+        // A plain click only explains what to do
+        this._announce(this._t('confirmHoldHint', { name: getAccessibleName(button) }));
+      }
+      return false;
+    }
+    
+    if (state && state.armed) {
+      this._disarmConfirm(button);
+      this._confirm(button, 'twice');
+      return true;
+    }
+    
+    this._armConfirm(button);
+    return false;
+  }
+  
+  /**
+   * Get or create a button's confirmation state
+   * @private
+   * @param {HTMLElement} button - The data-confirm button
+   * @returns {ConfirmState} The state
+   */
+  _getConfirmState(button) {
+    let state = confirmStates.get(button);
+    if (!state) {
+      state = { timer: null, armed: false, label: null, passThrough: false, pointer: false, completed: false, announcement: null };
+      confirmStates.set(button, state);
+    }
+    return state;
+  }
+  
+  /**
+   * Read a button's hold time or second-click timeout
+   * @private
+   * @param {HTMLElement} button - The data-confirm button
+   * @param {'hold'|'twice'} mode - Confirmation mode
+   * @returns {number} Milliseconds
+   */
+  _getConfirmDuration(button, mode) {
+    const { defaults } = this._config;
+    return parseDuration(
+      button.getAttribute(DATA_ATTRS.confirmDuration),
+      mode === 'hold' ? defaults.confirmHoldDuration : defaults.confirmTimeout,
+      defaults.minDuration,
+      defaults.maxDuration
+    );
+  }
+  
+  /**
+   * Show the second-click prompt on a data-confirm="twice" button
+   * @private
+   * @param {HTMLElement} button - The button
+   */
+  _armConfirm(button) {
+    const state = this._getConfirmState(button);
+    const name = getAccessibleName(button);
+    
+    state.armed = true;
+    state.label = button.innerHTML;
+    button.textContent = button.getAttribute(DATA_ATTRS.confirmText) || this._t('confirmLabel', { name });
+    button.classList.add('btn--confirm-armed');
+    
+    this._announce(this._t('confirmArmed', { name }));
+    
+    state.timer = setTimeout(() => {
+      this._disarmConfirm(button);
+      this._announce(this._t('confirmCanceled', { name: getAccessibleName(button) }));
+    }, this._getConfirmDuration(button, 'twice'));
+  }
+  
+  /**
+   * Restore a data-confirm="twice" button's label
+   * @private
+   * @param {HTMLElement} button - The button
+   */
+  _disarmConfirm(button) {
+    const state = confirmStates.get(button);
+    if (!state || !state.armed) return;
+    
+    clearTimeout(state.timer);
+    state.timer = null;
+    state.armed = false;
+    button.innerHTML = state.label;
+    state.label = null;
+    button.classList.remove('btn--confirm-armed');
+  }
+  
+  /**
+   * Announce and report a committed confirmation
+   * @private
+   * @param {HTMLElement} button - The button
+   * @param {'hold'|'twice'} mode - Confirmation mode
+   */
+  _confirm(button, mode) {
+    this._announce(this._t('confirmed', { name: getAccessibleName(button) }));
+    this._dispatchEvent(button, EVENTS.confirm, createEventDetail({ mode }));
+  }
+  
+  /**
+   * Start a hold on a pressed data-confirm="hold" button
+   * @private
+   * @param {PointerEvent} event - Pointerdown event
+   */
+  _handleHoldStart(event) {
+    if (event.button !== 0 || !this._ownsElement(event.target)) return;
+    
+    const button = event.target.closest(SELECTORS.button);
+    if (button && getConfirmMode(button) === 'hold') {
+      this._startHold(button, true);
+    }
+  }
+  
+  /**
+   * Hold data-confirm="hold" buttons while Space or Enter is down
+   * @private
+   * @param {KeyboardEvent} event - Keydown event
+   * @returns {boolean} True if the key was handled
+   */
+  _handleHoldKeydown(event) {
+    const button = event.target;
+    if (event.key !== KEYS.SPACE && event.key !== KEYS.ENTER) return false;
+    if (!button.matches || !button.matches(SELECTORS.button) || getConfirmMode(button) !== 'hold') return false;
+    
+    // No native click: the hold decides
+    event.preventDefault();
+    if (!event.repeat) {
+      this._startHold(button, false);
+    }
+    return true;
+  }
+  
+  /**
+   * End a hold early when the key or pointer is released or leaves the button
+   * @private
+   * @param {Event} event - keyup, pointerup, pointercancel, pointerout or focusout
+   */
+  _handleHoldEnd(event) {
+    const button = this._heldButton;
+    if (!button) return;
+    
+    if (event.type === 'keyup') {
+      // Keyboard activation sends no click, so the hint comes from here
+      if (event.key === KEYS.SPACE || event.key === KEYS.ENTER) {
+        this._cancelHold(button, 'confirmHoldHint');
+      }
+      return;
+    }
+    
+    // A quick press is followed by a click, which gives the hint
+    if (event.type === 'pointerup') {
+      this._cancelHold(button, null);
+      return;
+    }
+    
+    // Moving between the button's own children is not leaving it
+    const left = (event.target === button || button.contains(event.target)) &&
+      !(event.relatedTarget && button.contains(event.relatedTarget));
+    if (left || event.type === 'pointercancel') {
+      this._cancelHold(button, 'confirmCanceled');
+    }
+  }
+  
+  /**
+   * Begin filling a data-confirm="hold" button
+   * @private
+   * @param {HTMLElement} button - The button
+   * @param {boolean} pointer - Whether a pointer (rather than a key) holds it
+   */
+  _startHold(button, pointer) {
+    if (button.disabled || button.getAttribute(ARIA.disabled) === 'true' || button.classList.contains('btn--loading')) {
+      return;
+    }
+    
+    const state = this._getConfirmState(button);
+    if (state.armed) return;
+    
+    if (this._heldButton) {
+      this._cancelHold(this._heldButton, null);
+    }
+    
+    const duration = this._getConfirmDuration(button, 'hold');
+    state.armed = true;
+    state.pointer = pointer;
+    state.completed = false;
+    this._heldButton = button;
+    button.style.setProperty('--btn-confirm-duration', `${duration}ms`);
+    button.classList.add('btn--confirm-holding');
+    
+    state.announcement = this._announce(this._t('confirmHoldStart', { name: getAccessibleName(button) }));
+    state.timer = setTimeout(() => this._completeHold(button), duration);
+  }
+  
+  /**
+   * Stop a hold that has not completed
+   * @private
+   * @param {HTMLElement} button - The button
+   * @param {string|null} messageKey - What to announce instead of the pending "keep holding"
+   */
+  _cancelHold(button, messageKey) {
+    const state = confirmStates.get(button);
+    this._heldButton = null;
+    if (!state || !state.armed) return;
+    
+    clearTimeout(state.timer);
+    state.timer = null;
+    state.armed = false;
+    button.classList.remove('btn--confirm-holding');
+    
+    state.announcement();
+    state.announcement = null;
+    if (messageKey) {
+      this._announce(this._t(messageKey, { name: getAccessibleName(button) }));
+    }
+  }
+  
+  /**
+   * Confirm a completed hold and activate the button
+   * @private
+   * @param {HTMLElement} button - The button
+   */
+  _completeHold(button) {
+    const state = this._getConfirmState(button);
+    state.timer = null;
+    state.armed = false;
+    state.announcement = null;
+    state.completed = state.pointer;
+    this._heldButton = null;
+    button.classList.remove('btn--confirm-holding');
+    
+    if (!isElementConnected(button)) return;
+    
+    this._confirm(button, 'hold');
+    
+    state.passThrough = true;
+    button.click();
+    state.passThrough = false;
+  }
+  
+  /* ========================================================================
+   * EXPAND/COLLAPSE HANDLER
+   * ========================================================================
+   * Manages content visibility toggle with ARIA states. aria-controls may
+   * name several targets; they animate height and opacity unless the user
+   * prefers reduced motion, and collapse to hidden="until-found" if they
+   * started that way, so find-in-page can open them. Buttons sharing a
+   * data-expand-group form an accordion (one open section unless a button
+   * has data-expand-mode="multiple"); data-expand-persist stores the state.
+   * ======================================================================== */
+  
+  /**
+   * Restore persisted state and note until-found targets
+   * @private
+   * @param {Node} [scope=this._root] - Subtree to set up
+   */
+  _initExpanders(scope = this._root) {
+    this._queryAll(SELECTORS.expand, scope).forEach(button => {
+      this._getExpandTargets(button).forEach(target => {
+        if (target.getAttribute('hidden') === 'until-found') {
+          untilFoundTargets.add(target);
+        }
+      });
+      
+      const key = button.getAttribute(DATA_ATTRS.expandPersist);
+      const stored = key ? readStorage(`ds-expand:${key}`) : null;
+      if (stored === 'true' || stored === 'false') {
+        this._applyExpanded(button, stored === 'true', false);
+      }
+    });
+  }
+  
+  /**
+   * Handle expand/collapse button click
+   * @private
+   * @param {HTMLElement} button - The expand button element
+   */
+  _handleExpand(button) {
+    this._setExpanded(button, button.getAttribute(ARIA.expanded) !== 'true');
+  }
+  
+  /**
+   * Expand or collapse a button's targets, closing the rest of its accordion
+   * @private
+   * @param {HTMLElement} button - The expand button
+   * @param {boolean} expanded - New state
+   * @param {Object} [options={}] - animate (default true) and cancelable (default
+   *   true: fire ds:beforeexpand first)
+   * @returns {boolean} False if a listener canceled the change
+   */
+  _setExpanded(button, expanded, { animate = true, cancelable = true } = {}) {
+    if ((button.getAttribute(ARIA.expanded) === 'true') === expanded) return true;
+    
+    if (cancelable && !this._dispatchEvent(button, EVENTS.beforeExpand, createEventDetail({
+      expanded,
+      targets: this._getExpandTargets(button)
+    }))) {
+      return false;
+    }
+    
+    this._applyExpanded(button, expanded, animate);
+    
+    const key = button.getAttribute(DATA_ATTRS.expandPersist);
+    if (key) {
+      writeStorage(`ds-expand:${key}`, String(expanded));
+    }
+    
+    this._dispatchEvent(button, EVENTS.expand, createEventDetail({ expanded }));
+    this._announceState(button, expanded ? 'expanded' : 'collapsed');
+    
+    // An accordion keeps one section open; closing the others follows from this change
+    const group = expanded ? this._getExpandGroup(button) : null;
+    if (group && !group.multiple) {
+      group.buttons.forEach(other => {
+        if (other !== button) {
+          this._setExpanded(other, false, { animate, cancelable: false });
+        }
+      });
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Set aria-expanded and show or hide the targets
+   * @private
+   * @param {HTMLElement} button - The expand button
+   * @param {boolean} expanded - New state
+   * @param {boolean} animate - Whether to transition the targets
+   */
+  _applyExpanded(button, expanded, animate) {
+    button.setAttribute(ARIA.expanded, String(expanded));
+    this._getExpandTargets(button).forEach(target => animateExpandTarget(target, expanded, animate));
+  }
+  
+  /**
+   * Resolve the elements named by a button's aria-controls
+   * @private
+   * @param {HTMLElement} button - The expand button
+   * @returns {HTMLElement[]} The targets found
+   */
+  _getExpandTargets(button) {
+    const ids = (button.getAttribute(ARIA.controls) || '').split(/\s+/).filter(Boolean);
+    return ids.map(id => this._getElementById(id)).filter(Boolean);
+  }
+  
+  /**
+   * Get the accordion a button belongs to
+   * @private
+   * @param {HTMLElement} button - The expand button
+   * @returns {{buttons: HTMLElement[], multiple: boolean}|null} The group, or null
+   */
+  _getExpandGroup(button) {
+    const name = button.getAttribute(DATA_ATTRS.expandGroup);
+    if (!name || !isValidGroupName(name)) return null;
+    
+    const buttons = this._queryAll(`${SELECTORS.expand}[${DATA_ATTRS.expandGroup}="${name}"]`);
+    return {
+      buttons,
+      multiple: buttons.some(btn => btn.getAttribute(DATA_ATTRS.expandMode) === 'multiple')
+    };
+  }
+  
+  /**
+   * Expand the sections find-in-page is about to reveal
+   * The browser reveals the match either way, so this can't be canceled.
+   * @private
+   * @param {Event} event - The beforematch event
+   */
+  _handleBeforeMatch(event) {
+    const found = event.target;
+    if (!(found instanceof Element) || !untilFoundTargets.has(found)) return;
+    
+    this._queryAll(SELECTORS.expand)
+      .filter(button => this._getExpandTargets(button).includes(found))
+      .forEach(button => this._setExpanded(button, true, { animate: false, cancelable: false }));
+  }
+  
+  /* ========================================================================
+   * KEYBOARD SHORTCUTS
+   * ========================================================================
+   * data-shortcut and bindShortcut() click a button from the keyboard.
+   * A shortcut belongs to the nearest data-shortcut-scope ancestor (or the
+   * root) and only works while focus is inside that scope; the innermost
+   * matching scope wins, so one combo can mean different buttons in a
+   * dialog and on the page behind it.
+   * ======================================================================== */
+  
+  /**
+   * Bind the shortcuts declared with data-shortcut
+   * @private
+   * @param {Element} [scope=this._root] - Subtree to initialize
+   */
+  _initShortcuts(scope = this._root) {
+    this._queryAll(`[${DATA_ATTRS.shortcut}]`, scope).forEach(button => {
+      // Markup may have changed since the last pass; declare afresh
+      (buttonShortcuts.get(button) || [])
+        .filter(binding => binding.declared)
+        .forEach(binding => this._removeShortcut(button, binding));
+      
+      const hint = button.hasAttribute(DATA_ATTRS.shortcutHint);
+      button.getAttribute(DATA_ATTRS.shortcut).split(/[\s,]+/).filter(Boolean).forEach(combo => {
+        const shortcut = normalizeShortcut(combo, isApplePlatform());
+        if (shortcut) {
+          this._addShortcut(button, { shortcut, declared: true, hint });
+        } else {
+          warnOption(this._config.debug, `data-shortcut "${combo}" is not a valid shortcut; ignoring it`);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Get the element a button's shortcuts are scoped to
+   * @private
+   * @param {HTMLElement} button - The button element
+   * @returns {Document|Element|ShadowRoot} The nearest data-shortcut-scope ancestor, or the root
+   */
+  _getShortcutScope(button) {
+    return button.closest(`[${DATA_ATTRS.shortcutScope}]`) || this._root;
+  }
+  
+  /**
+   * Register a shortcut binding, warning when its scope already uses the combo
+   * @private
+   * @param {HTMLElement} button - The button element
+   * @param {ShortcutBinding} binding - The binding
+   */
+  _addShortcut(button, binding) {
+    const bindings = buttonShortcuts.get(button) || [];
+    if (bindings.some(existing => existing.shortcut === binding.shortcut)) return;
+    
+    let buttons = this._shortcuts.get(binding.shortcut);
+    if (!buttons) {
+      buttons = new Set();
+      this._shortcuts.set(binding.shortcut, buttons);
+    }
+    
+    const scope = this._getShortcutScope(button);
+    if ([...buttons].some(other => this._getShortcutScope(other) === scope)) {
+      warnOption(this._config.debug, `shortcut "${binding.shortcut}" is already bound in this scope; ` +
+        'the first button bound keeps it');
+    }
+    
+    buttons.add(button);
+    buttonShortcuts.set(button, [...bindings, binding]);
+    this._renderShortcuts(button);
+  }
+  
+  /**
+   * Remove a shortcut binding
+   * @private
+   * @param {HTMLElement} button - The button element
+   * @param {ShortcutBinding} binding - The binding
+   */
+  _removeShortcut(button, binding) {
+    const bindings = (buttonShortcuts.get(button) || []).filter(existing => existing !== binding);
+    const buttons = this._shortcuts.get(binding.shortcut);
+    
+    if (buttons) {
+      buttons.delete(button);
+      if (buttons.size === 0) {
+        this._shortcuts.delete(binding.shortcut);
+      }
+    }
+    
+    if (bindings.length > 0) {
+      buttonShortcuts.set(button, bindings);
+    } else {
+      buttonShortcuts.delete(button);
+    }
+    this._renderShortcuts(button);
+  }
+  
+  /**
+   * Forget every shortcut of a removed button
+   * @private
+   * @param {HTMLElement} button - The button element
+   */
+  _releaseShortcuts(button) {
+    (buttonShortcuts.get(button) || []).forEach(binding => {
+      const buttons = this._shortcuts.get(binding.shortcut);
+      if (buttons) {
+        buttons.delete(button);
+        if (buttons.size === 0) {
+          this._shortcuts.delete(binding.shortcut);
+        }
+      }
+    });
+    buttonShortcuts.delete(button);
+  }
+  
+  /**
+   * Reflect a button's shortcuts in aria-keyshortcuts and its <kbd> hint
+   * @private
+   * @param {HTMLElement} button - The button element
+   */
+  _renderShortcuts(button) {
+    const bindings = buttonShortcuts.get(button) || [];
+    
+    if (bindings.length > 0) {
+      button.setAttribute('aria-keyshortcuts', bindings.map(binding => formatShortcut(binding.shortcut, 'aria')).join(' '));
+    } else {
+      button.removeAttribute('aria-keyshortcuts');
+    }
+    
+    const existing = Array.from(button.children).find(child => child.matches(SELECTORS.shortcutHint));
+    if (existing) {
+      existing.remove();
+    }
+    
+    const hinted = bindings.find(binding => binding.hint);
+    if (hinted) {
+      // aria-keyshortcuts already tells assistive technology
+      const kbd = button.ownerDocument.createElement('kbd');
+      kbd.className = SELECTORS.shortcutHint.slice(1);
+      kbd.setAttribute('aria-hidden', 'true');
+      kbd.textContent = formatShortcut(hinted.shortcut, isApplePlatform() ? 'apple' : 'text');
+      button.appendChild(kbd);
+    }
+  }
+  
+  /**
+   * Click the button bound to a pressed shortcut
+   * Runs after menus and groups have had the key. Plain keys do nothing
+   * while typing in a field or moving through a menu or group; combos with
+   * Ctrl or Cmd still work there. Disabled and loading buttons keep their shortcut from
+   * reaching the browser but are not clicked.
+   * @private
+   * @param {KeyboardEvent} event - Keydown event
+   * @returns {boolean} True if the event matched a shortcut
+   */
+  _handleShortcut(event) {
+    if (event.defaultPrevented || this._shortcuts.size === 0) return false;
+    
+    const shortcut = getEventShortcut(event);
+    const buttons = shortcut ? this._shortcuts.get(shortcut) : null;
+    if (!buttons) return false;
+    
+    const target = event.target;
+    if (isEditableTarget(target) && !event.ctrlKey && !event.metaKey) return false;
+    
+    // Plain keys in menus and groups belong to typeahead and navigation
+    const plain = !event.ctrlKey && !event.metaKey && !event.altKey;
+    if (plain && target.closest && (target.closest(SELECTORS.dropdownMenu) || this._getComposite(target))) {
+      return false;
+    }
+    
+    // The innermost scope holding focus wins; the first binding wins within it
+    let match = null;
+    let matchScope = null;
+    buttons.forEach(button => {
+      if (!isElementConnected(button)) return;
+      
+      const scope = this._getShortcutScope(button);
+      if (scope !== this._root && !scope.contains(target)) return;
+      
+      if (!match || (scope !== matchScope && matchScope.contains(scope))) {
+        match = button;
+        matchScope = scope;
+      }
+    });
+    
+    if (!match) return false;
+    
+    event.preventDefault();
+    
+    if (!event.repeat && isButtonEnabled(match) && !match.classList.contains('btn--loading')) {
+      // Goes through _handleEvent like any other click
+      match.click();
+    }
+    
+    return true;
+  }
+  
+  /* ========================================================================
+   * UTILITY METHODS
+   * ======================================================================== */
+  
+  /**
+   * Get the document that contains the root
+   * @private
+   * @returns {Document} The owning document
+   */
+  _getDocument() {
+    return this._root.nodeType === Node.DOCUMENT_NODE ? this._root : this._root.ownerDocument;
+  }
+  
+  /**
+   * Look up and format a message
+   * Overrides from the i18n option come first, then the locale chain's
+   * catalogues, then the built-in English.
+   * @private
+   * @param {string} key - Message key (see I18N)
+   * @param {Object} [params={}] - Placeholder values; `count` picks the plural form
+   * @returns {string} The text
+   */
+  _t(key, params = {}) {
+    const { i18n, messages, localeChain, locale } = this._config;
+    
+    let message = i18n[key];
+    if (message === undefined) {
+      const tag = localeChain.find(candidate => messages[candidate] && messages[candidate][key] !== undefined);
+      message = tag ? messages[tag][key] : I18N[key];
+    }
+    
+    return formatMessage(message, params, locale);
+  }
+  
+  /**
+   * Check whether an element is laid out right to left
+   * @private
+   * @param {Element} element - The element
+   * @returns {boolean} True if its direction resolves to rtl
+   */
+  _isRTL(element) {
+    return getTextDirection(element, this._config.locale) === 'rtl';
+  }
+  
+  /**
+   * Update rendered text after the locale or messages change
+   * Search fields labelled by the messages, menu source status lines and
+   * required-field validity messages.
+   * @private
+   */
+  _refreshMessages() {
+    this._queryAll(SELECTORS.dropdown).forEach(dropdown => {
+      const menu = getDropdownMenu(dropdown);
+      const field = menu ? menuSearchFields.get(menu) : null;
+      
+      if (field) {
+        const host = [menu, dropdown].find(element => element.hasAttribute(DATA_ATTRS.searchable));
+        if (host && !host.getAttribute(DATA_ATTRS.searchable)) {
+          field.input.placeholder = this._t('search');
+          field.input.setAttribute('aria-label', this._t('search'));
+        }
+        field.empty.textContent = this._t('noResults');
+      }
+      
+      if (menuSources.has(dropdown)) {
+        this._renderSourceStatus(dropdown);
+      }
+    });
+    
+    this._formFields.forEach(field => this._syncFormField(field));
+  }
+  
+  /**
+   * Check whether this instance (and not a nested one) manages an element
+   * @private
+   * @param {Node} element - The element to check
+   * @returns {boolean} True if the nearest managed root is this instance's root
+   */
+  _ownsElement(element) {
+    return findManagedRoot(element) === this._root;
+  }
+  
+  /**
+   * Query elements within the root, excluding nested instance roots
+   * @private
+   * @param {string} selector - CSS selector
+   * @param {Node} [scope=this._root] - Subtree to search, itself included
+   * @returns {HTMLElement[]} Matching elements owned by this instance
+   */
+  _queryAll(selector, scope = this._root) {
+    const elements = Array.from(scope.querySelectorAll(selector));
+    if (scope !== this._root && scope.matches && scope.matches(selector)) {
+      elements.unshift(scope);
+    }
+    
+    return elements.filter(element => this._ownsElement(element));
+  }
+  
+  /**
+   * Query owned elements in a subtree plus the nearest enclosing match
+   * A node added inside an existing component (an item in a group or
+   * menu) changes that component, so it is set up again as well.
+   * @private
+   * @param {string} selector - CSS selector
+   * @param {Node} scope - The subtree
+   * @returns {Element[]} Matching elements
+   */
+  _queryAround(selector, scope) {
+    const elements = this._queryAll(selector, scope);
+    const parent = scope !== this._root && scope.parentElement
+      ? scope.parentElement.closest(selector)
+      : null;
+    
+    if (parent && this._ownsElement(parent) && !elements.includes(parent)) {
+      elements.push(parent);
+    }
+    
+    return elements;
+  }
+  
+  /**
+   * Find an element by ID, preferring the root's own tree
+   * @private
+   * @param {string} id - Element ID
+   * @returns {HTMLElement|null} The element
+   */
+  _getElementById(id) {
+    if (typeof this._root.getElementById === 'function') {
+      return this._root.getElementById(id);
+    }
+    
+    return this._root.querySelector(`#${CSS.escape(id)}`) ||
+      this._root.getRootNode().getElementById?.(id) ||
+      null;
+  }
+  
+  /**
+   * Get the focused element as seen from the root's tree
+   * @private
+   * @returns {Element|null} The active element
+   */
+  _getActiveElement() {
+    const tree = this._root.nodeType === Node.ELEMENT_NODE ? this._root.getRootNode() : this._root;
+    return tree.activeElement || null;
+  }
+  
+  /**
+   * Create the announcer and its live regions
+   * @private
+   */
+  _createAnnouncer() {
+    if (this._announcer) return;
+    
+    const doc = this._getDocument();
+    
+    // Keep the regions inside the root so they share the root's accessibility tree;
+    // only the document-level instance uses the well-known IDs
+    this._announcer = new Announcer(
+      this._root === doc ? doc.body : this._root,
+      () => this._config.defaults,
+      this._root === doc ? 'btn-system-live-region' : null
+    );
+  }
+  
+  /**
+   * Queue a message for screen readers
+   * @private
+   * @param {string} message - The message to announce
+   * @param {AnnouncePriority} [priority='polite'] - Assertive for errors
+   * @param {*} [key=null] - Source whose waiting message this one replaces
+   * @returns {function(): void} Cancels the announcement
+   */
+  _announce(message, priority = 'polite', key = null) {
+    if (!this._announcer || !message) return () => {};
+    
+    return this._announcer.announce(message, priority, key);
+  }
+  
+  /**
+   * Announce a state change when the announceState option is on
+   * @private
+   * @param {HTMLElement} element - Element whose state changed
+   * @param {string} key - Message key
+   */
+  _announceState(element, key) {
+    if (this._config.announceState) {
+      this._announce(this._t(key, { name: getAccessibleName(element) }));
+    }
+  }
+  
+  /**
+   * Dispatch custom event on element
+   * @private
+   * @param {HTMLElement} element - The element to dispatch from
+   * @param {string} eventName - The event name
+   * @param {Object} [detail=null] - Event detail data (should be null-prototype object)
+   * @returns {boolean} False if a listener canceled a `ds:before*` event
+   */
+  _dispatchEvent(element, eventName, detail = null) {
+    const allowed = element.dispatchEvent(new CustomEvent(eventName, {
+      bubbles: true,
+      cancelable: eventName.startsWith('ds:before'),
+      detail
+    }));
+    
+    const legacyName = LEGACY_EVENTS[eventName];
+    if (legacyName && this._config.legacyEvents) {
+      element.dispatchEvent(new CustomEvent(legacyName, {
+        bubbles: true,
+        cancelable: true,
+        detail
+      }));
+    }
+    
+    return allowed;
+  }
+  
+  /* ========================================================================
+   * PUBLIC API METHODS
+   * ======================================================================== */
+  
+  /**
+   * Programmatically trigger loading state on a button
+   * @public
+   * @param {HTMLElement} button - The button element
+   * @param {number} [duration=2000] - Duration in milliseconds, clamped to minDuration..maxDuration
+   * @returns {Promise<void>} Resolves when loading completes
+   * @throws {TypeError} If button is not a valid HTMLElement
+   * 
+   * @example
+   * await buttonSystem.setLoading(myButton, 3000);
+   * console.log('Loading complete!');
+   */
+  setLoading(button, duration = this._config.defaults.loadingDuration) {
+    return new Promise((resolve, reject) => {
+      if (!button || !(button instanceof HTMLElement)) {
+        reject(new TypeError('setLoading: button must be an HTMLElement'));
+        return;
+      }
+      
+      const { defaults } = this._config;
+      const validDuration = clamp(duration, defaults.minDuration, defaults.maxDuration);
+      
+      // Apply loading state
+      this._applyLoadingState(button, button.getAttribute(DATA_ATTRS.loadingText));
+      
+      // Settles with the loading state, however it ends
+      loadingResolvers.set(button, [...(loadingResolvers.get(button) || []), resolve]);
+      
+      // Set timeout, replacing any pending loading reset
+      setButtonTimer(button, TIMERS.loading, () => {
+        if (isElementConnected(button)) {
+          this._resetLoadingState(button);
+        } else {
+          buttonOriginalContent.delete(button);
+        }
+        settleLoading(button);
+      }, validDuration);
+    });
+  }
+  
+  /**
+   * Hold a button in the loading state until cancelLoading() or setProgress(button, 1)
+   * @public
+   * @param {HTMLElement} button - The button element
+   * @param {Object} [options={}] - Loading options
+   * @param {string|null} [options.loadingText] - Text shown next to the spinner; defaults to data-loading-text
+   * @throws {TypeError} If button is not a valid HTMLElement
+   * 
+   * @example
+   * buttonSystem.startLoading(uploadButton, { loadingText: 'Uploading…' });
+   * upload.then(() => buttonSystem.cancelLoading(uploadButton));
+   */
+  startLoading(button, { loadingText = button && button.getAttribute(DATA_ATTRS.loadingText) } = {}) {
+    if (!button || !(button instanceof HTMLElement)) {
+      throw new TypeError('startLoading: button must be an HTMLElement');
+    }
+    
+    // Drop any timed reset from an earlier setLoading
+    clearButtonTimer(button, TIMERS.loading);
+    this._applyLoadingState(button, loadingText);
+  }
+  
+  /**
+   * Cancel loading state on a button
+   * @public
+   * @param {HTMLElement} button - The button element
+   */
+  cancelLoading(button) {
+    if (!button) return;
+    
+    clearButtonTimer(button, TIMERS.loading);
+    
+    if (isElementConnected(button)) {
+      this._resetLoadingState(button);
+    } else {
+      buttonOriginalContent.delete(button);
+      progressStates.delete(button);
+      settleLoading(button);
+    }
+  }
+  
+  /**
+   * Show determinate progress on a button
+   * 
+   * The button enters the loading state on the first call and is described
+   * by a progress bar with aria-valuenow. Reaching 1 moves it to the success
+   * state; null shows the indeterminate spinner. Percentages are announced
+   * at most once per `progressAnnounceInterval`.
+   * @public
+   * @param {HTMLElement} button - The button element
+   * @param {number|null} value - Progress from 0 to 1 (clamped), or null
+   * @throws {TypeError} If button is not an element or value is not a number or null
+   * 
+   * @example
+   * xhr.upload.onprogress = e => buttonSystem.setProgress(uploadButton, e.loaded / e.total);
+   */
+  setProgress(button, value) {
+    if (!button || !(button instanceof HTMLElement)) {
+      throw new TypeError('setProgress: button must be an HTMLElement');
+    }
+    if (value !== null && (typeof value !== 'number' || Number.isNaN(value))) {
+      throw new TypeError('setProgress: value must be a number from 0 to 1, or null');
+    }
+    
+    if (value !== null && value >= 1) {
+      this._completeProgress(button);
+    } else {
+      this._applyProgress(button, value === null ? null : Math.max(value, 0));
+    }
+  }
+  
+  /**
+   * Run an async action, holding the loading state until it settles
+   * 
+   * The button shows its loading text while the action runs, then moves to
+   * `btn--success-state` or `btn--error-state`. When retry is enabled a
+   * failed button stays in the error state until activated again.
+   * @public
+   * @param {HTMLElement} button - The button element
+   * @param {ButtonAction} action - Function returning a promise (or value)
+   * @param {ActionOptions} [options={}] - Overrides for data attributes
+   * @returns {Promise<*>} Resolves with the action result, rejects with its error
+   * 
+   * @example
+   * buttonSystem.runAction(saveButton, () => fetch('/api/save'), {
+   *   successText: 'Saved',
+   *   retry: 3
+   * });
+   */
+  runAction(button, action, options = {}) {
+    if (!button || !(button instanceof HTMLElement)) {
+      return Promise.reject(new TypeError('runAction: button must be an HTMLElement'));
+    }
+    
+    if (typeof action !== 'function') {
+      return Promise.reject(new TypeError('runAction: action must be a function'));
+    }
+    
+    let state = buttonActionState.get(button);
+    
+    // Share the in-flight attempt instead of starting a second one
+    if (state && state.promise) {
+      return state.promise;
+    }
+    
+    if (state && state.awaitingRetry) {
+      state.action = action;
+    } else {
+      state = {
+        action,
+        options: this._resolveActionOptions(button, options),
+        attempt: 0,
+        promise: null,
+        awaitingRetry: false
+      };
+      buttonActionState.set(button, state);
+    }
+    
+    return this._runAction(button, state);
+  }
+  
+  /**
+   * Announce a message to screen readers through the shared live regions
+   * Messages are queued and spaced out, repeats of a pending message are
+   * dropped, a newer message with the same key replaces one still waiting,
+   * and assertive messages go ahead of polite ones.
+   * @public
+   * @param {string} message - The message
+   * @param {AnnounceOptions} [options={}] - Announcement options
+   * @returns {function(): void} Cancels the announcement if it is still pending
+   * @throws {TypeError} If message is empty, priority is unknown or key is not a string
+   * 
+   * @example
+   * buttonSystem.announce('3 files uploaded');
+   * const cancel = buttonSystem.announce('Connection lost', { priority: 'assertive' });
+   * buttonSystem.announce(`${done} of ${total} synced`, { key: 'sync' });
+   */
+  announce(message, { priority = 'polite', key } = {}) {
+    if (typeof message !== 'string' || !message.trim()) {
+      throw new TypeError('announce: message must be a non-empty string');
+    }
+    
+    if (!ANNOUNCE_PRIORITIES.includes(priority)) {
+      throw new TypeError(`announce: priority must be one of ${ANNOUNCE_PRIORITIES.join(', ')}`);
+    }
+    
+    if (key !== undefined && typeof key !== 'string') {
+      throw new TypeError('announce: key must be a string');
+    }
+    
+    // Public keys can't collide with the elements and states used internally
+    return this._announce(message.trim(), priority, key === undefined ? null : `announce:${key}`);
+  }
+  
+  /**
+   * Change options at runtime
+   * Values merge onto the current configuration and apply from the next
+   * use; invalid ones are reported (with debug on) and left unchanged.
+   * @public
+   * @param {Omit<ButtonSystemOptions, 'autoInit'|'root'>} options - Options to change;
+   *   `messages` and `i18n` merge per message
+   * @returns {ButtonSystem} This instance
+   * @throws {TypeError} If options is not an object
+   * 
+   * @example
+   * buttonSystem.configure({ defaults: { maxDuration: 120000, announceDelay: 400 } });
+   */
+  configure(options) {
+    if (!options || typeof options !== 'object') {
+      throw new TypeError('configure: options must be an object');
+    }
+    
+    const current = this._config;
+    const debug = options.debug !== undefined ? Boolean(options.debug) : current.debug;
+    
+    let { locale, fallbackLocales } = current;
+    if (options.locale !== undefined) {
+      const canonical = canonicalizeLocale(options.locale);
+      if (canonical) {
+        locale = canonical;
+      } else {
+        warnOption(debug, `invalid locale "${options.locale}"; keeping ${current.locale}`);
+      }
+    }
+    
+    if (options.fallbackLocales !== undefined) {
+      const tags = Array.isArray(options.fallbackLocales) ? options.fallbackLocales : [options.fallbackLocales];
+      fallbackLocales = Object.freeze(tags.map(tag => {
+        const canonical = canonicalizeLocale(tag);
+        if (!canonical) {
+          warnOption(debug, `invalid fallback locale "${tag}" ignored`);
+        }
+        return canonical;
+      }).filter(Boolean));
+    }
+    
+    const messages = { ...current.messages };
+    if (options.messages && typeof options.messages === 'object') {
+      Object.keys(options.messages).forEach(tag => {
+        const canonical = canonicalizeLocale(tag);
+        if (!canonical) {
+          warnOption(debug, `messages for invalid locale "${tag}" ignored`);
+          return;
+        }
+        messages[canonical] = resolveMessages(messages[canonical] || {}, options.messages[tag], debug);
+      });
+    }
+    
+    this._config = Object.freeze({
+      locale,
+      fallbackLocales,
+      localeChain: Object.freeze(getLocaleChain(locale, fallbackLocales)),
+      messages: Object.freeze(messages),
+      i18n: resolveMessages(current.i18n, options.i18n, debug),
+      defaults: resolveDefaults(current.defaults, options.defaults, debug),
+      announceState: options.announceState !== undefined ? Boolean(options.announceState) : current.announceState,
+      legacyEvents: options.legacyEvents !== undefined ? Boolean(options.legacyEvents) : current.legacyEvents,
+      debug
+    });
+    
+    // Rendered text (search fields, menu status, validity) follows the messages
+    const textChanged = ['locale', 'fallbackLocales', 'messages', 'i18n'].some(key => options[key] !== undefined);
+    if (textChanged && this._initialized) {
+      this._refreshMessages();
+    }
+    
+    return this;
+  }
+  
+  /**
+   * Switch the message locale at runtime
+   * @public
+   * @param {string} locale - BCP 47 locale tag, e.g. 'fr' or 'ar-EG'
+   * @param {string[]} [fallbackLocales] - Replaces the fallback locales if given
+   * @returns {ButtonSystem} This instance
+   * @throws {RangeError} If locale is not a valid language tag
+   * 
+   * @example
+   * buttonSystem.addMessages('fr', { loading: 'Chargement de {name}' });
+   * buttonSystem.setLocale('fr-CA', ['fr']);
+   */
+  setLocale(locale, fallbackLocales) {
+    if (!canonicalizeLocale(locale)) {
+      throw new RangeError(`setLocale: invalid locale "${locale}"`);
+    }
+    
+    return this.configure({ locale, fallbackLocales });
+  }
+  
+  /**
+   * Get the message locale
+   * @public
+   * @returns {string} Canonical locale tag
+   */
+  getLocale() {
+    return this._config.locale;
+  }
+  
+  /**
+   * Add or replace messages for a locale
+   * @public
+   * @param {string} locale - BCP 47 locale tag
+   * @param {Messages} messages - Messages by key
+   * @returns {ButtonSystem} This instance
+   * @throws {RangeError} If locale is not a valid language tag
+   * 
+   * @example
+   * buttonSystem.addMessages('de', {
+   *   results: { one: '{count} Treffer', other: '{count} Treffer' },
+   *   toggleOn: '{name}, an'
+   * });
+   */
+  addMessages(locale, messages) {
+    if (!canonicalizeLocale(locale)) {
+      throw new RangeError(`addMessages: invalid locale "${locale}"`);
+    }
+    
+    return this.configure({ messages: { [locale]: messages } });
+  }
+  
+  /**
+   * Get the defaults in effect for this instance
+   * @public
+   * @returns {typeof DEFAULTS} Frozen defaults
+   */
+  getDefaults() {
+    return this._config.defaults;
+  }
+  
+  /**
+   * Register a named action for declarative `data-action` buttons
+   * @public
+   * @param {string} name - Action name (alphanumeric, hyphen, underscore)
+   * @param {ButtonAction} action - Function returning a promise (or value)
+   * @throws {TypeError} If name or action is invalid
+   * 
+   * @example
+   * // <button data-action="save" data-success-text="Saved" data-retry="3">
+   * buttonSystem.registerAction('save', () => fetch('/api/save'));
+   */
+  registerAction(name, action) {
+    if (typeof name !== 'string' || !isValidGroupName(name)) {
+      throw new TypeError('registerAction: name must be alphanumeric, hyphen or underscore');
+    }
+    
+    if (typeof action !== 'function') {
+      throw new TypeError('registerAction: action must be a function');
+    }
+    
+    this._actions.set(name, action);
+  }
+  
+  /**
+   * Remove a named action
+   * @public
+   * @param {string} name - Action name
+   */
+  unregisterAction(name) {
+    this._actions.delete(name);
+  }
+  
+  /**
+   * Bind a keyboard shortcut to a button
+   * 
+   * The shortcut clicks the button, so it behaves exactly like a click.
+   * `mod` stands for Cmd on Apple platforms and Ctrl elsewhere. The
+   * button's aria-keyshortcuts lists its shortcuts.
+   * @public
+   * @param {HTMLElement} button - The button element
+   * @param {string} combo - Modifiers and a key joined with "+", e.g. "mod+shift+k"
+   * @param {Object} [options={}] - Shortcut options
+   * @param {boolean} [options.hint=false] - Show the shortcut in a <kbd> inside the button
+   * @returns {function(): void} Removes the shortcut
+   * @throws {TypeError} If button is not an element or combo is not a valid shortcut
+   * 
+   * @example
+   * const unbind = buttonSystem.bindShortcut(saveButton, 'mod+s', { hint: true });
+   */
+  bindShortcut(button, combo, { hint = false } = {}) {
+    if (!button || !(button instanceof HTMLElement)) {
+      throw new TypeError('bindShortcut: button must be an HTMLElement');
+    }
+    
+    const shortcut = typeof combo === 'string' ? normalizeShortcut(combo, isApplePlatform()) : null;
+    if (!shortcut) {
+      throw new TypeError(`bindShortcut: "${combo}" is not a valid shortcut`);
+    }
+    
+    const binding = { shortcut, declared: false, hint: Boolean(hint) };
+    this._addShortcut(button, binding);
+    
+    return () => {
+      if ((buttonShortcuts.get(button) || []).includes(binding)) {
+        this._removeShortcut(button, binding);
+      }
+    };
+  }
+  
+  /**
+   * Listen for a ButtonSystem event
+   * @public
+   * @param {string} type - Event name, with or without the `ds:` prefix
+   * @param {function(CustomEvent): void} handler - Event listener
+   * @param {Object} [options={}] - Listener options
+   * @param {Document|Element|ShadowRoot} [options.root=this._root] - Node to listen on
+   * @returns {function(): void} Removes the listener
+   * @throws {TypeError} If type is not a ButtonSystem event or handler is not a function
+   * 
+   * @example
+   * const off = buttonSystem.on('beforetoggle', (e) => {
+   *   if (!confirm('Turn this off?')) e.preventDefault();
+   * });
+   */
+  on(type, handler, { root = this._root } = {}) {
+    const eventType = this._resolveEventType('on', type);
+    
+    if (typeof handler !== 'function') {
+      throw new TypeError('on: handler must be a function');
+    }
+    
+    if (!isValidRoot(root)) {
+      throw new TypeError('on: root must be a Document, Element or ShadowRoot');
+    }
+    
+    // Adding the same listener twice is a no-op, as with addEventListener
+    if (!this._findSubscription(eventType, handler, root)) {
+      root.addEventListener(eventType, handler);
+      this._subscriptions.add({ type: eventType, handler, root });
+    }
+    
+    return () => this.off(eventType, handler, { root });
+  }
+  
+  /**
+   * Remove a listener added with on()
+   * @public
+   * @param {string} type - Event name, with or without the `ds:` prefix
+   * @param {function(CustomEvent): void} handler - The listener passed to on()
+   * @param {Object} [options={}] - Listener options
+   * @param {Document|Element|ShadowRoot} [options.root=this._root] - Node passed to on()
+   */
+  off(type, handler, { root = this._root } = {}) {
+    const subscription = this._findSubscription(this._resolveEventType('off', type), handler, root);
+    if (!subscription) return;
+    
+    root.removeEventListener(subscription.type, handler);
+    this._subscriptions.delete(subscription);
+  }
+  
+  /**
+   * Dispatch a ButtonSystem event, also under its legacy name when legacyEvents is on
+   * For components built on the system that fire its events themselves.
+   * @public
+   * @param {HTMLElement} target - Element to dispatch from
+   * @param {string} type - Event name, with or without the `ds:` prefix
+   * @param {Object} [detail={}] - Event detail
+   * @returns {boolean} False if a listener canceled a `ds:before*` event
+   * @throws {TypeError} If target is not an element or type is not a ButtonSystem event
+   * 
+   * @example
+   * buttonSystem.emit(splitButton, 'primaryaction', { value: 'save' });
+   */
+  emit(target, type, detail = {}) {
+    if (!(target instanceof Element)) {
+      throw new TypeError('emit: target must be an Element');
+    }
+    
+    return this._dispatchEvent(target, this._resolveEventType('emit', type), createEventDetail(detail));
+  }
+  
+  /**
+   * Map an event name to its `ds:` form
    * @private
-   * @param {MouseEvent} event - Click event
+   * @param {string} method - Calling method, for the error message
+   * @param {string} type - Event name, with or without the prefix
+   * @returns {string} The namespaced event name
+   * @throws {TypeError} If type is not a ButtonSystem event
    */
-  _handleEvent(event) {
-    const target = event.target;
+  _resolveEventType(method, type) {
+    const name = typeof type === 'string' ? type.toLowerCase() : '';
+    const eventType = name.startsWith('ds:') ? name : `ds:${name}`;
     
-    // Handle clicks outside dropdowns first
-    if (!target.closest(SELECTORS.dropdown)) {
-      this._closeAllDropdowns();
+    if (!Object.values(EVENTS).includes(eventType)) {
+      throw new TypeError(`${method}: unknown event type "${type}"`);
     }
     
-    // Find the button element
-    const button = target.closest(SELECTORS.button);
-    if (!button) return;
+    return eventType;
+  }
+  
+  /**
+   * Find a listener added with on()
+   * @private
+   * @param {string} type - Namespaced event name
+   * @param {Function} handler - The listener
+   * @param {Node} root - Node listened on
+   * @returns {{type: string, handler: Function, root: Node}|undefined} The subscription
+   */
+  _findSubscription(type, handler, root) {
+    for (const subscription of this._subscriptions) {
+      if (subscription.type === type && subscription.handler === handler && subscription.root === root) {
+        return subscription;
+      }
+    }
+    return undefined;
+  }
+  
+  /**
+   * Use a menu as the context menu of a target
+   * The menu opens on right-click, Shift+F10 or the ContextMenu key, and
+   * `ds:select` events fire on the target.
+   * @public
+   * @param {HTMLElement} target - Element that opens the menu
+   * @param {HTMLElement} menu - A .btn-dropdown__menu, possibly shared with a dropdown
+   * @throws {TypeError} If target or menu is invalid
+   * 
+   * @example
+   * buttonSystem.attachContextMenu(row, document.getElementById('row-actions'));
+   * row.addEventListener('ds:select', (e) => handleRowAction(row, e.detail.value));
+   */
+  attachContextMenu(target, menu) {
+    if (!(target instanceof HTMLElement)) {
+      throw new TypeError('attachContextMenu: target must be an HTMLElement');
+    }
     
-    // Check for disabled state
-    if (button.disabled || button.getAttribute(ARIA.disabled) === 'true') {
-      event.preventDefault();
-      event.stopPropagation();
-      return;
+    if (!(menu instanceof HTMLElement) || !menu.matches(SELECTORS.dropdownMenu)) {
+      throw new TypeError('attachContextMenu: menu must be a .btn-dropdown__menu element');
+    }
+    
+    contextMenuAttachments.set(target, menu);
+  }
+  
+  /**
+   * Remove a context menu attached with attachContextMenu
+   * @public
+   * @param {HTMLElement} target - The target
+   */
+  detachContextMenu(target) {
+    if (openContextMenus.has(target)) {
+      this._closeDropdown(target);
     }
-    
-    // Handle toggle buttons
-    if (button.hasAttribute(DATA_ATTRS.toggle)) {
-      this._handleToggle(button);
+    contextMenuAttachments.delete(target);
+  }
+  
+  /**
+   * Load a dropdown's items from a callback instead of its markup
+   * The source receives the search text ('' unless the menu is
+   * searchable) and returns items or a promise of items. Existing items
+   * are replaced; long lists are virtualized.
+   * @public
+   * @param {HTMLElement} dropdown - The .btn-dropdown element
+   * @param {MenuSource|null} source - Item callback, or null to remove it
+   * @throws {TypeError} If dropdown or source is invalid
+   * 
+   * @example
+   * buttonSystem.setMenuSource(projectDropdown, async (query) => {
+   *   const response = await fetch(`/api/projects?q=${encodeURIComponent(query)}`);
+   *   return (await response.json()).map(p => ({ value: p.id, label: p.name }));
+   * });
+   */
+  setMenuSource(dropdown, source) {
+    if (!(dropdown instanceof HTMLElement) || !dropdown.matches(SELECTORS.dropdown) || !getDropdownMenu(dropdown)) {
+      throw new TypeError('setMenuSource: dropdown must be a .btn-dropdown element with a menu');
     }
     
-    // Handle loading buttons
-    if (button.hasAttribute(DATA_ATTRS.loadingText)) {
-      this._handleLoading(button, event);
+    if (source !== null && typeof source !== 'function') {
+      throw new TypeError('setMenuSource: source must be a function or null');
     }
     
-    // Handle auto-disable buttons
-    if (button.hasAttribute(DATA_ATTRS.autoDisable)) {
-      this._handleAutoDisable(button);
+    const menu = getDropdownMenu(dropdown);
+    const previous = menuSources.get(dropdown);
+    if (previous) {
+      clearTimeout(previous.debounce);
+      previous.list.remove();
+      previous.message.remove();
+      menu.removeAttribute(ARIA.busy);
+      menuSources.delete(dropdown);
+      dropdownItemCache.delete(menu);
     }
     
-    // Handle dropdown triggers
-    const dropdown = button.closest(SELECTORS.dropdown);
-    if (dropdown) {
-      this._handleDropdown(button, dropdown, event);
-    }
+    if (!source) return;
     
-    // Handle expand/collapse buttons
-    if (button.classList.contains('btn-expand')) {
-      this._handleExpand(button);
+    this._initMenuSource(dropdown, menu, source);
+    if (this._openDropdowns.has(dropdown)) {
+      this._loadMenuSource(dropdown, '');
     }
   }
   
   /**
-   * Keyboard event handler
-   * @private
-   * @param {KeyboardEvent} event - Keyboard event
+   * Programmatically set button pressed state
+   * @public
+   * @param {HTMLElement} button - The button element
+   * @param {boolean} pressed - Whether the button should be pressed
+   * 
+   * @example
+   * buttonSystem.setPressed(toggleButton, true);
    */
-  _handleKeydown(event) {
-    const target = event.target;
+  setPressed(button, pressed) {
+    if (!button) return;
     
-    // Handle dropdown keyboard navigation
-    const dropdown = target.closest(SELECTORS.dropdown);
-    if (dropdown) {
-      this._handleDropdownKeyboard(event, dropdown);
-      return;
-    }
+    const newState = Boolean(pressed);
+    setButtonPressed(button, newState);
     
-    // Prevent scroll on Space for toggle buttons
-    if (target.hasAttribute && target.hasAttribute(DATA_ATTRS.toggle) && event.key === KEYS.SPACE) {
-      event.preventDefault();
-    }
+    // Dispatch event for consistency
+    this._dispatchEvent(button, EVENTS.toggle, createEventDetail({ pressed: newState }));
   }
   
-  /* ========================================================================
-   * TOGGLE BUTTON HANDLER
-   * ========================================================================
-   * Manages aria-pressed state for toggle buttons.
-   * Supports both single toggles and toggle groups (radio-like behavior).
-   * ======================================================================== */
+  /**
+   * Expand or collapse an expand button's targets
+   * Fires the cancelable ds:beforeexpand, then ds:expand; in an accordion
+   * the other sections close.
+   * @public
+   * @param {HTMLElement} button - The .btn-expand button
+   * @param {boolean} expanded - Whether the targets should be shown
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.animate=true] - Transition the targets (skipped for reduced motion)
+   * @returns {boolean} False if a listener canceled the change
+   * 
+   * @example
+   * buttonSystem.setExpanded(detailsButton, true, { animate: false });
+   */
+  setExpanded(button, expanded, { animate = true } = {}) {
+    if (!button || !button.matches(SELECTORS.expand)) return false;
+    
+    return this._setExpanded(button, Boolean(expanded), { animate: Boolean(animate) });
+  }
   
   /**
-   * Handle toggle button click
-   * @private
-   * @param {HTMLElement} button - The toggle button element
+   * Open a dropdown programmatically
+   * @public
+   * @param {HTMLElement} dropdown - The dropdown container element
    */
-  _handleToggle(button) {
-    const toggleGroup = button.getAttribute(DATA_ATTRS.toggleGroup);
+  openDropdown(dropdown) {
+    if (!dropdown) return;
     
-    if (toggleGroup) {
-      // Validate group name to prevent selector injection
-      if (!isValidGroupName(toggleGroup)) {
-        return;
-      }
-      
-      // Radio-like behavior - only one can be pressed in a group
-      const groupButtons = document.querySelectorAll(
-        `[${DATA_ATTRS.toggleGroup}="${CSS.escape(toggleGroup)}"]`
-      );
-      
-      groupButtons.forEach(btn => {
-        if (btn !== button) {
-          btn.setAttribute(ARIA.pressed, 'false');
-          btn.classList.remove('btn--selected');
-        }
-      });
-      
-      button.setAttribute(ARIA.pressed, 'true');
-      button.classList.add('btn--selected');
-    } else {
-      // Standard toggle behavior
-      const isPressed = button.getAttribute(ARIA.pressed) === 'true';
-      const newState = !isPressed;
-      
-      button.setAttribute(ARIA.pressed, String(newState));
-      button.classList.toggle('btn--selected', newState);
-    }
+    const trigger = dropdown.querySelector(SELECTORS.dropdownTrigger);
+    const menu = getDropdownMenu(dropdown);
     
-    // Dispatch custom event for external listeners
-    this._dispatchEvent(button, 'toggle', createEventDetail({
-      pressed: button.getAttribute(ARIA.pressed) === 'true'
-    }));
+    if (trigger && menu) {
+      this._closeAllDropdowns();
+      this._openDropdown(trigger, dropdown, menu);
+    }
   }
   
-  /* ========================================================================
-   * LOADING STATE HANDLER
-   * ========================================================================
-   * Manages loading spinner and state transitions.
-   * Tracks timeouts to prevent race conditions.
-   * ======================================================================== */
+  /**
+   * Close a dropdown programmatically
+   * @public
+   * @param {HTMLElement} dropdown - The dropdown container element
+   */
+  closeDropdown(dropdown) {
+    if (!dropdown) return;
+    this._closeDropdown(dropdown);
+  }
   
   /**
-   * Handle loading button click
-   * @private
-   * @param {HTMLElement} button - The button element
-   * @param {MouseEvent} event - The click event
+   * Close all dropdowns
+   * @public
    */
-  _handleLoading(button, event) {
-    // Prevent action if already loading
-    if (button.classList.contains('btn--loading')) {
-      event.preventDefault();
+  closeAllDropdowns() {
+    this._closeAllDropdowns();
+  }
+  
+  /**
+   * Get the current value of a select-mode or named dropdown
+   * @public
+   * @param {HTMLElement} dropdown - The .btn-dropdown element
+   * @returns {string|null} The chosen value, or null if none
+   * 
+   * @example
+   * buttonSystem.getDropdownValue(sortPicker); // 'newest'
+   */
+  getDropdownValue(dropdown) {
+    if (!(dropdown instanceof HTMLElement)) return null;
+    
+    return readDropdownValue(dropdown)[0] || null;
+  }
+  
+  /**
+   * Set the value of a select-mode or named dropdown
+   * Updates the checked item, trigger label and form field; does not fire `ds:select`.
+   * A value no item has is ignored, with a warning in debug mode, unless
+   * the menu loads its items from a source.
+   * @public
+   * @param {HTMLElement} dropdown - The .btn-dropdown element
+   * @param {string|null} value - Item value to choose, null to show the placeholder
+   * 
+   * @example
+   * buttonSystem.setDropdownValue(pageSizePicker, '50');
+   */
+  setDropdownValue(dropdown, value) {
+    if (!(dropdown instanceof HTMLElement) || !dropdown.matches(SELECTORS.dropdown)) return;
+    
+    const next = value === null || value === undefined ? null : String(value);
+    const menu = getDropdownMenu(dropdown);
+    
+    // Source items come and go with the query, so any value may be valid
+    if (next !== null && menu && !menuSources.has(dropdown) &&
+        !Array.from(menu.querySelectorAll(SELECTORS.dropdownItem)).some(item => getButtonValue(item) === next)) {
+      warnOption(this._config.debug, `setDropdownValue: no item has the value "${next}"; ignoring it`);
       return;
     }
     
-    const loadingDuration = parseDuration(
-      button.getAttribute(DATA_ATTRS.loadingDuration),
-      DEFAULTS.loadingDuration
-    );
+    this._setDropdownValue(dropdown, next);
+  }
+  
+  /**
+   * Get the values of the pressed buttons in a toggle group
+   * Each button contributes its data-value, or its label.
+   * @public
+   * @param {string} groupName - The toggle group name
+   * @returns {string[]} Pressed values in document order
+   * 
+   * @example
+   * buttonSystem.getGroupValue('format'); // ['bold', 'italic']
+   */
+  getGroupValue(groupName) {
+    if (!isValidGroupName(groupName)) return [];
     
-    // Store original content using cloneNode for safety
-    buttonOriginalContent.set(button, {
-      innerHTML: button.innerHTML,
-      disabled: button.disabled
-    });
+    return this._readGroupValue(this._getToggleGroupButtons(groupName));
+  }
+  
+  /**
+   * Set toggle state for an entire group
+   * Exclusive groups keep only the first value; multiple groups keep at
+   * most data-toggle-max values and, like clicks, refuse to go below
+   * data-toggle-min or to leave a non-deselectable exclusive group with
+   * nothing pressed. These cases warn in debug mode. Emits one
+   * `ds:groupchange` if anything changed.
+   * @public
+   * @param {string} groupName - The toggle group name
+   * @param {string[]|string|HTMLElement|null} values - Values to press, or a single button
+   * 
+   * @example
+   * buttonSystem.setGroupValue('format', ['bold', 'underline']);
+   * buttonSystem.setGroupValue('view', gridButton);
+   */
+  setGroupValue(groupName, values) {
+    this._setGroupValue(groupName, values);
+  }
+}
+
+/* ========================================================================
+ * ANNOUNCER
+ * ========================================================================
+ * Queues screen reader announcements into a polite and an assertive live
+ * region. Each message gets announceInterval before the next is shown,
+ * repeats of a pending message are dropped, and assertive messages (errors)
+ * go ahead of polite ones, interrupting a polite message not yet shown.
+ * ======================================================================== */
+
+/**
+ * @typedef {'polite'|'assertive'} AnnouncePriority
+ */
+
+/**
+ * @typedef {Object} AnnounceOptions
+ * @property {AnnouncePriority} [priority='polite'] - Assertive messages interrupt and jump the queue
+ * @property {string} [key] - Source of the message; a newer message with the same key replaces
+ *   one still waiting, so only the latest status is read
+ */
+
+/**
+ * @typedef {Object} Announcement
+ * @property {string} message - Text to announce
+ * @property {AnnouncePriority} priority - Region and queue position
+ * @property {*} key - Source whose newer messages replace this one while it waits, or null
+ */
+
+const ANNOUNCE_PRIORITIES = Object.freeze(['polite', 'assertive']);
+
+/**
+ * Create a visually hidden live region
+ * @param {Document} doc - Owning document
+ * @param {AnnouncePriority} priority - Politeness of the region
+ * @param {string|null} id - Region ID, if any
+ * @returns {HTMLElement} The region
+ */
+function createLiveRegion(doc, priority, id) {
+  const region = doc.createElement('div');
+  
+  if (id) {
+    region.id = id;
+  }
+  region.setAttribute('aria-live', priority);
+  region.setAttribute('aria-atomic', 'true');
+  region.setAttribute('role', priority === 'assertive' ? 'alert' : 'status');
+  region.className = 'sr-only';
+  
+  // Visually hidden but accessible to screen readers
+  Object.assign(region.style, {
+    position: 'absolute',
+    width: '1px',
+    height: '1px',
+    padding: '0',
+    margin: '-1px',
+    overflow: 'hidden',
+    clip: 'rect(0, 0, 0, 0)',
+    whiteSpace: 'nowrap',
+    border: '0'
+  });
+  
+  return region;
+}
+
+class Announcer {
+  /**
+   * Create the live regions
+   * @param {Node} container - Element the regions are appended to
+   * @param {function(): typeof DEFAULTS} getDefaults - Current announceDelay and announceInterval
+   * @param {string|null} id - ID of the polite region; the assertive one adds `-assertive`
+   */
+  constructor(container, getDefaults, id) {
+    const doc = container.ownerDocument || container;
     
-    // Apply loading state
-    button.classList.add('btn--loading');
-    button.setAttribute(ARIA.busy, 'true');
-    button.disabled = true;
+    /** @type {Object<AnnouncePriority, HTMLElement>} */
+    this.regions = {
+      polite: createLiveRegion(doc, 'polite', id),
+      assertive: createLiveRegion(doc, 'assertive', id && `${id}-assertive`)
+    };
+    container.append(this.regions.polite, this.regions.assertive);
     
-    // Announce loading state
-    this._announce(this._config.i18n.loading);
+    this._getDefaults = getDefaults;
     
-    // Clear any existing timeout for this button
-    const existingTimeout = buttonTimeouts.get(button);
-    if (existingTimeout) {
-      clearTimeout(existingTimeout);
-    }
+    /** @type {Announcement[]} Waiting messages, assertive ones first */
+    this._queue = [];
     
-    // Set timeout to reset loading state
-    const timeoutId = setTimeout(() => {
-      // Check if element is still in DOM before resetting
-      if (isElementConnected(button)) {
-        this._resetLoadingState(button);
-      } else {
-        // Cleanup WeakMap entries
-        buttonOriginalContent.delete(button);
-        buttonTimeouts.delete(button);
-      }
-    }, loadingDuration);
+    /** @type {Announcement|null} Message being shown or about to be */
+    this._current = null;
     
-    buttonTimeouts.set(button, timeoutId);
+    // Whether the current message has reached its region
+    this._shown = false;
+    
+    this._timer = null;
   }
   
   /**
-   * Reset button from loading state
-   * @private
-   * @param {HTMLElement} button - The button element
+   * Queue a message
+   * @param {string} message - Text to announce
+   * @param {AnnouncePriority} priority - Region and queue position
+   * @param {*} [key=null] - Source of the message; replaces its message still waiting
+   * @returns {function(): void} Cancels the announcement
    */
-  _resetLoadingState(button) {
-    const original = buttonOriginalContent.get(button);
+  announce(message, priority, key = null) {
+    const waiting = entry => entry && (entry !== this._current || !this._shown);
     
-    button.classList.remove('btn--loading');
-    button.setAttribute(ARIA.busy, 'false');
+    // A newer status from the same source takes the waiting one's place
+    const replaced = key === null ? null : [this._current, ...this._queue]
+      .find(entry => waiting(entry) && entry.key === key && entry.priority === priority);
+    if (replaced) {
+      replaced.message = message;
+      return () => this.cancel(replaced);
+    }
     
-    if (original) {
-      button.disabled = original.disabled;
-      button.innerHTML = original.innerHTML;
+    const pending = [this._current, ...this._queue]
+      .find(entry => entry && entry.message === message && entry.priority === priority);
+    if (pending) {
+      return () => this.cancel(pending);
+    }
+    
+    const entry = { message, priority, key };
+    
+    if (priority === 'assertive') {
+      const firstPolite = this._queue.findIndex(queued => queued.priority !== 'assertive');
+      const index = firstPolite === -1 ? this._queue.length : firstPolite;
+      this._queue.splice(index, 0, entry);
       
-      // Clean up stored data
-      buttonOriginalContent.delete(button);
+      // A polite message still on its way in waits for its turn again
+      if (this._current && this._current.priority === 'polite' && !this._shown) {
+        clearTimeout(this._timer);
+        this._timer = null;
+        this._queue.splice(index + 1, 0, this._current);
+        this._current = null;
+      }
     } else {
-      // Fallback if original content wasn't stored
-      button.disabled = false;
+      this._queue.push(entry);
     }
     
-    buttonTimeouts.delete(button);
-    
-    // Announce completion
-    this._announce(this._config.i18n.complete);
+    this._next();
+    return () => this.cancel(entry);
+  }
+  
+  /**
+   * Drop a queued message, or clear it if it is being shown
+   * @param {Announcement} entry - The announcement
+   */
+  cancel(entry) {
+    const index = this._queue.indexOf(entry);
+    if (index !== -1) {
+      this._queue.splice(index, 1);
+      return;
+    }
     
-    // Dispatch custom event
-    this._dispatchEvent(button, 'loadingComplete', createEventDetail({}));
+    if (entry === this._current) {
+      clearTimeout(this._timer);
+      this._timer = null;
+      this._current = null;
+      this.regions[entry.priority].textContent = '';
+      this._next();
+    }
   }
   
-  /* ========================================================================
-   * AUTO-DISABLE HANDLER
-   * ========================================================================
-   * Prevents double-submission by disabling button after click.
-   * ======================================================================== */
+  /**
+   * Show the next queued message once the current one has had its time
+   * @private
+   */
+  _next() {
+    if (this._current || this._queue.length === 0) return;
+    
+    const entry = this._queue.shift();
+    const region = this.regions[entry.priority];
+    const { announceDelay, announceInterval } = this._getDefaults();
+    
+    this._current = entry;
+    this._shown = false;
+    
+    // Clear and set message with delay for screen reader detection
+    region.textContent = '';
+    this._timer = setTimeout(() => {
+      if (isElementConnected(region)) {
+        region.textContent = entry.message;
+      }
+      this._shown = true;
+      
+      this._timer = setTimeout(() => {
+        this._timer = null;
+        this._current = null;
+        this._next();
+      }, announceInterval);
+    }, announceDelay);
+  }
   
   /**
-   * Handle auto-disable button click
-   * @private
-   * @param {HTMLElement} button - The button element
+   * Stop announcing and remove the live regions
+   */
+  destroy() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._queue = [];
+    this._current = null;
+    this.regions.polite.remove();
+    this.regions.assertive.remove();
+  }
+}
+
+/* ========================================================================
+ * SPLIT BUTTON CONTROLLER
+ * ========================================================================
+ * Specialized controller for split button functionality.
+ * Separates primary action from dropdown options.
+ * 
+ * The caret half and menu are normalized into .btn-dropdown markup, so
+ * the managing ButtonSystem provides menu keyboard handling, `ds:select`
+ * events and outside-click closing.
+ * ======================================================================== */
+
+/**
+ * @typedef {Object} SplitButtonOptions
+ * @property {ButtonSystem} [system] - Instance handling the menu (defaults to the one managing the element)
+ * @property {boolean} [rememberLastAction] - Promote the chosen menu item into the main button
+ *   (defaults to the presence of data-remember-action)
+ */
+
+class SplitButtonController {
+  /**
+   * Create a split button controller
+   * @param {HTMLElement} element - The split button container
+   * @param {SplitButtonOptions} [options={}] - Controller options
+   * @throws {Error} If element is not provided or already controlled
    */
-  _handleAutoDisable(button) {
-    const disableDuration = parseDuration(
-      button.getAttribute(DATA_ATTRS.disableDuration),
-      DEFAULTS.disableDuration
-    );
+  constructor(element, options = {}) {
+    if (!element) {
+      throw new Error('SplitButtonController: element is required');
+    }
     
-    // Clear any existing timeout
-    const existingTimeout = buttonTimeouts.get(button);
-    if (existingTimeout) {
-      clearTimeout(existingTimeout);
+    if (splitButtonControllers.has(element)) {
+      throw new Error('SplitButtonController: element already has a controller');
     }
     
-    // Disable the button
-    button.disabled = true;
-    button.setAttribute(ARIA.disabled, 'true');
+    /** @type {HTMLElement} */
+    this.element = element;
     
-    // Re-enable after duration
-    const timeoutId = setTimeout(() => {
-      if (isElementConnected(button)) {
-        button.disabled = false;
-        button.removeAttribute(ARIA.disabled);
-      }
-      buttonTimeouts.delete(button);
-    }, disableDuration);
+    /** @type {HTMLElement|null} */
+    this.mainButton = element.querySelector(SELECTORS.splitMain);
     
-    buttonTimeouts.set(button, timeoutId);
-  }
-  
-  /* ========================================================================
-   * DROPDOWN BUTTON HANDLER
-   * ========================================================================
-   * Manages dropdown menu visibility and ARIA states.
-   * Includes viewport boundary detection and item caching.
-   * ======================================================================== */
-  
-  /**
-   * Handle dropdown button interactions
-   * @private
-   * @param {HTMLElement} target - The clicked element
-   * @param {HTMLElement} dropdown - The dropdown container
-   * @param {MouseEvent} event - The click event
-   */
-  _handleDropdown(target, dropdown, event) {
-    const trigger = dropdown.querySelector(SELECTORS.dropdownTrigger);
-    const menu = dropdown.querySelector(SELECTORS.dropdownMenu);
+    /** @type {HTMLElement|null} */
+    this.dropdownButton = element.querySelector(SELECTORS.splitDropdown);
     
-    if (!trigger || !menu) return;
+    /** @type {HTMLElement|null} */
+    this.menu = element.querySelector(SELECTORS.dropdownMenu);
     
-    // If clicking on a menu item
-    if (target.classList.contains('btn-dropdown__item')) {
-      this._handleDropdownItemClick(target, dropdown, trigger);
-      return;
-    }
+    /** @type {boolean} */
+    this.rememberLastAction = options.rememberLastAction !== undefined
+      ? Boolean(options.rememberLastAction)
+      : element.hasAttribute(DATA_ATTRS.rememberAction);
     
-    // If clicking on trigger, toggle dropdown
-    if (target === trigger || trigger.contains(target)) {
-      event.stopPropagation();
-      const isExpanded = trigger.getAttribute(ARIA.expanded) === 'true';
-      
-      // Close other dropdowns first
-      this._closeAllDropdowns();
-      
-      if (!isExpanded) {
-        this._openDropdown(trigger, dropdown, menu);
-      }
-    }
+    /** @type {ButtonSystem|null} */
+    this._system = options.system || null;
+    
+    /** @type {AbortController} */
+    this._abortController = new AbortController();
+    
+    splitButtonControllers.set(element, this);
+    
+    this._init();
   }
   
   /**
-   * Open a dropdown menu
+   * Initialize split button behaviors
    * @private
-   * @param {HTMLElement} trigger - The dropdown trigger button
-   * @param {HTMLElement} dropdown - The dropdown container
-   * @param {HTMLElement} menu - The dropdown menu
    */
-  _openDropdown(trigger, dropdown, menu) {
-    trigger.setAttribute(ARIA.expanded, 'true');
-    dropdown.setAttribute(ARIA.expanded, 'true');
+  _init() {
+    const { signal } = this._abortController;
     
-    // Track open dropdown
-    this._openDropdowns.add(dropdown);
+    this._normalizeMarkup();
     
-    // Use requestAnimationFrame to ensure menu is visible before positioning
-    requestAnimationFrame(() => {
-      if (isElementConnected(menu)) {
-        this._positionDropdownMenu(dropdown, menu);
+    if (this.mainButton) {
+      this.mainButton.addEventListener('click', (event) => {
+        const detail = createEventDetail({
+          originalEvent: event,
+          value: this.mainButton.getAttribute(DATA_ATTRS.value)
+        });
         
-        // Focus first menu item for accessibility
-        const items = this._getDropdownItems(menu);
-        if (items.length > 0) {
-          setTimeout(() => {
-            if (isElementConnected(items[0])) {
-              items[0].focus();
-            }
-          }, DEFAULTS.focusDelay);
+        // Go through the system so the legacyEvents option applies
+        const system = this._getSystem();
+        if (system) {
+          system.emit(this.element, EVENTS.primaryAction, detail);
+        } else {
+          this.element.dispatchEvent(new CustomEvent(EVENTS.primaryAction, { bubbles: true, detail }));
         }
-      }
-    });
+      }, { signal });
+      
+      // Alt+ArrowDown opens the menu from the main button
+      this.mainButton.addEventListener('keydown', (event) => {
+        if (event.key === KEYS.ARROW_DOWN && event.altKey) {
+          event.preventDefault();
+          this.open();
+        }
+      }, { signal });
+    }
+    
+    if (this.rememberLastAction) {
+      this.element.addEventListener(EVENTS.select, (event) => {
+        if (event.target === this.element && event.detail && event.detail.item) {
+          this.setAction(event.detail.item);
+        }
+      }, { signal });
+    }
   }
   
   /**
-   * Get dropdown items with caching
+   * Add the dropdown classes and ARIA the ButtonSystem expects
    * @private
-   * @param {HTMLElement} menu - The dropdown menu
-   * @returns {HTMLElement[]} Array of menu items
    */
-  _getDropdownItems(menu) {
-    const cached = dropdownItemCache.get(menu);
-    const now = Date.now();
+  _normalizeMarkup() {
+    const { element, dropdownButton, menu } = this;
     
-    // Return cached items if still fresh
-    if (cached && (now - cached.timestamp) < DEFAULTS.cacheMaxAge) {
-      return cached.items;
+    element.classList.add('btn-dropdown');
+    if (!element.hasAttribute(ARIA.expanded)) {
+      element.setAttribute(ARIA.expanded, 'false');
     }
     
-    // Query and cache items
-    const items = Array.from(menu.querySelectorAll(SELECTORS.dropdownItem));
-    dropdownItemCache.set(menu, { items, timestamp: now });
+    if (menu && !menu.hasAttribute('role')) {
+      menu.setAttribute('role', 'menu');
+    }
     
-    return items;
+    if (dropdownButton) {
+      dropdownButton.classList.add('btn-dropdown__trigger');
+      dropdownButton.setAttribute(ARIA.haspopup, 'menu');
+      if (!dropdownButton.hasAttribute(ARIA.expanded)) {
+        dropdownButton.setAttribute(ARIA.expanded, 'false');
+      }
+      if (menu && menu.id && !dropdownButton.hasAttribute(ARIA.controls)) {
+        dropdownButton.setAttribute(ARIA.controls, menu.id);
+      }
+    }
   }
   
   /**
-   * Invalidate dropdown item cache
+   * Get the ButtonSystem handling this split button's menu
    * @private
-   * @param {HTMLElement} menu - The dropdown menu
+   * @returns {ButtonSystem|null} The system, if any
    */
-  _invalidateDropdownCache(menu) {
-    dropdownItemCache.delete(menu);
+  _getSystem() {
+    return this._system || getManagingSystem(this.element);
   }
   
   /**
-   * Position dropdown menu within viewport
-   * @private
-   * @param {HTMLElement} dropdown - The dropdown container
-   * @param {HTMLElement} menu - The dropdown menu
+   * Open the options menu
+   * @public
    */
-  _positionDropdownMenu(dropdown, menu) {
-    // Reset any previous positioning
-    menu.removeAttribute(DATA_ATTRS.position);
-    menu.style.removeProperty('inset-inline-start');
-    menu.style.removeProperty('inset-inline-end');
-    menu.style.removeProperty('top');
-    menu.style.removeProperty('bottom');
-    
-    // Get viewport and menu dimensions
-    const rect = menu.getBoundingClientRect();
-    const viewportWidth = window.innerWidth;
-    const viewportHeight = window.innerHeight;
-    const isRTL = getComputedStyle(document.documentElement).direction === 'rtl';
-    
-    // Check if menu extends beyond right edge (or left in RTL)
-    const overflowsEnd = isRTL ? rect.left < 0 : rect.right > viewportWidth;
-    if (overflowsEnd) {
-      menu.setAttribute(DATA_ATTRS.position, 'end');
-    }
-    
-    // Check if menu extends beyond bottom edge
-    if (rect.bottom > viewportHeight) {
-      menu.setAttribute(DATA_ATTRS.position, 
-        menu.getAttribute(DATA_ATTRS.position) === 'end' ? 'end top' : 'top'
-      );
+  open() {
+    const system = this._getSystem();
+    if (system) {
+      system.openDropdown(this.element);
     }
   }
   
   /**
-   * Handle dropdown menu item click
-   * @private
-   * @param {HTMLElement} item - The clicked menu item
-   * @param {HTMLElement} dropdown - The dropdown container
-   * @param {HTMLElement} trigger - The dropdown trigger
+   * Close the options menu
+   * @public
    */
-  _handleDropdownItemClick(item, dropdown, trigger) {
-    const value = item.getAttribute(DATA_ATTRS.value) || (item.textContent ? item.textContent.trim() : '');
-    
-    // Dispatch selection event with null-prototype detail
-    this._dispatchEvent(dropdown, 'select', createEventDetail({ value, item }));
-    
-    // Close dropdown
-    this._closeDropdown(dropdown, trigger);
-    
-    // Return focus to trigger
-    if (trigger && isElementConnected(trigger)) {
-      trigger.focus();
+  close() {
+    const system = this._getSystem();
+    if (system) {
+      system.closeDropdown(this.element);
     }
   }
   
   /**
-   * Close a specific dropdown
-   * @private
-   * @param {HTMLElement} dropdown - The dropdown container
-   * @param {HTMLElement} [trigger] - The dropdown trigger (optional)
+   * Promote a menu item into the main button
+   * The main button takes the item's label and value; subsequent
+   * ds:primaryaction events report that value.
+   * @public
+   * @param {HTMLElement} item - The menu item
    */
-  _closeDropdown(dropdown, trigger) {
-    if (!trigger) {
-      trigger = dropdown.querySelector(SELECTORS.dropdownTrigger);
-    }
+  setAction(item) {
+    if (!item || !this.mainButton) return;
     
-    if (trigger) {
-      trigger.setAttribute(ARIA.expanded, 'false');
-    }
-    dropdown.setAttribute(ARIA.expanded, 'false');
-    
-    // Remove from tracking set
-    this._openDropdowns.delete(dropdown);
+    const label = item.textContent ? item.textContent.trim() : '';
+    const value = item.getAttribute(DATA_ATTRS.value) || label;
     
-    // Clear position data attribute
-    const menu = dropdown.querySelector(SELECTORS.dropdownMenu);
-    if (menu) {
-      menu.removeAttribute(DATA_ATTRS.position);
-    }
+    this.mainButton.textContent = label;
+    this.mainButton.setAttribute(DATA_ATTRS.value, value);
   }
   
   /**
-   * Close all open dropdowns
-   * @private
+   * Clean up event listeners
+   * @public
    */
-  _closeAllDropdowns() {
-    // Use tracked set for efficiency
-    this._openDropdowns.forEach(dropdown => {
-      if (isElementConnected(dropdown)) {
-        this._closeDropdown(dropdown);
-      }
-    });
-    this._openDropdowns.clear();
+  destroy() {
+    this._abortController.abort();
+    
+    if (splitButtonControllers.get(this.element) === this) {
+      splitButtonControllers.delete(this.element);
+    }
   }
+}
+
+/* ========================================================================
+ * CUSTOM ELEMENTS
+ * ========================================================================
+ * Autonomous elements (<ds-button>, <ds-dropdown>, <ds-split-button>)
+ * that render the class and ARIA markup SELECTORS and DATA_ATTRS expect.
+ * Markup is rendered into light DOM, so buttons.css applies and the
+ * ButtonSystem managing the element's root provides the behaviors.
+ * ======================================================================== */
+
+const COLOR_VARIANTS = Object.freeze(['primary', 'secondary', 'success', 'warning', 'danger', 'info']);
+const STYLE_VARIANTS = Object.freeze(['solid', 'outline', 'ghost', 'text', 'gradient']);
+const SIZES = Object.freeze(['sm', 'md', 'lg']);
+
+// Counter for generated menu IDs
+let customElementId = 0;
+
+/**
+ * Apply variant, appearance and size modifier classes to a button
+ * Unknown values are ignored so the base .btn styling remains.
+ * @param {HTMLElement} button - The button element
+ * @param {HTMLElement} host - Custom element carrying the attributes
+ */
+function applyButtonModifiers(button, host) {
+  [...COLOR_VARIANTS, ...STYLE_VARIANTS, ...SIZES].forEach(name => {
+    button.classList.remove(`btn--${name}`);
+  });
   
-  /**
-   * Handle dropdown keyboard navigation
-   * @private
-   * @param {KeyboardEvent} event - The keyboard event
-   * @param {HTMLElement} dropdown - The dropdown container
-   */
-  _handleDropdownKeyboard(event, dropdown) {
-    const trigger = dropdown.querySelector(SELECTORS.dropdownTrigger);
-    const menu = dropdown.querySelector(SELECTORS.dropdownMenu);
+  const variant = host.getAttribute('variant');
+  const appearance = host.getAttribute('appearance');
+  const size = host.getAttribute('size');
+  
+  if (COLOR_VARIANTS.includes(variant)) button.classList.add(`btn--${variant}`);
+  if (STYLE_VARIANTS.includes(appearance)) button.classList.add(`btn--${appearance}`);
+  if (SIZES.includes(size)) button.classList.add(`btn--${size}`);
+}
+
+/**
+ * Turn light DOM children into dropdown menu markup
+ * Buttons become menu items (a `value` attribute maps to data-value),
+ * <hr> elements become separators.
+ * @param {HTMLElement} menu - The menu container holding the children
+ */
+function decorateMenuChildren(menu) {
+  Array.from(menu.children).forEach(child => {
+    if (child.tagName === 'BUTTON') {
+      child.type = 'button';
+      child.classList.add('btn-dropdown__item');
+      if (!child.hasAttribute('role')) {
+        child.setAttribute('role', 'menuitem');
+      }
+      if (isCheckableItem(child) && !child.hasAttribute(ARIA.checked)) {
+        child.setAttribute(ARIA.checked, 'false');
+      }
+      if (child.hasAttribute('value') && !child.hasAttribute(DATA_ATTRS.value)) {
+        child.setAttribute(DATA_ATTRS.value, child.getAttribute('value'));
+      }
+    } else if (child.tagName === 'HR') {
+      child.classList.add('btn-dropdown__divider');
+      child.setAttribute('role', 'separator');
+    }
+  });
+}
+
+/**
+ * Define reflected properties on a custom element prototype
+ * @param {Function} ElementClass - The custom element class
+ * @param {Object<string, 'string'|'boolean'>} properties - Property name to type
+ */
+function defineReflectedProperties(ElementClass, properties) {
+  Object.keys(properties).forEach(name => {
+    const attribute = name.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+    const isBoolean = properties[name] === 'boolean';
     
-    if (!trigger || !menu) return;
+    Object.defineProperty(ElementClass.prototype, name, {
+      configurable: true,
+      enumerable: true,
+      get() {
+        return isBoolean ? this.hasAttribute(attribute) : this.getAttribute(attribute);
+      },
+      set(value) {
+        if (isBoolean) {
+          this.toggleAttribute(attribute, Boolean(value));
+        } else if (value === null || value === undefined) {
+          this.removeAttribute(attribute);
+        } else {
+          this.setAttribute(attribute, String(value));
+        }
+      }
+    });
+  });
+}
+
+/**
+ * Base class for design system custom elements
+ * Renders once when first connected (after parsing so children exist)
+ * and re-syncs the rendered markup on attribute changes.
+ */
+class DsElement extends HTMLElement {
+  constructor() {
+    super();
     
-    const items = this._getDropdownItems(menu);
-    const isExpanded = trigger.getAttribute(ARIA.expanded) === 'true';
-    const currentIndex = items.indexOf(document.activeElement);
+    /** @type {boolean} */
+    this._rendered = false;
+  }
+  
+  connectedCallback() {
+    if (this._rendered) {
+      this._connected();
+      return;
+    }
     
-    switch (event.key) {
-      case KEYS.ESCAPE:
-        if (isExpanded) {
-          this._closeDropdown(dropdown, trigger);
-          trigger.focus();
-          event.preventDefault();
-          event.stopPropagation();
-        }
-        break;
-        
-      case KEYS.ARROW_DOWN:
-        event.preventDefault();
-        if (!isExpanded) {
-          this._openDropdown(trigger, dropdown, menu);
-        } else if (items.length > 0) {
-          const nextIndex = currentIndex < items.length - 1 ? currentIndex + 1 : 0;
-          items[nextIndex]?.focus();
-        }
-        break;
-        
-      case KEYS.ARROW_UP:
-        event.preventDefault();
-        if (isExpanded && items.length > 0) {
-          const prevIndex = currentIndex > 0 ? currentIndex - 1 : items.length - 1;
-          items[prevIndex]?.focus();
-        }
-        break;
-        
-      case KEYS.HOME:
-        if (isExpanded && items.length > 0) {
-          event.preventDefault();
-          items[0]?.focus();
-        }
-        break;
-        
-      case KEYS.END:
-        if (isExpanded && items.length > 0) {
-          event.preventDefault();
-          items[items.length - 1]?.focus();
-        }
-        break;
-        
-      case KEYS.ENTER:
-      case KEYS.SPACE:
-        if (event.target.classList.contains('btn-dropdown__item')) {
-          event.preventDefault();
-          this._handleDropdownItemClick(event.target, dropdown, trigger);
-        }
-        break;
-        
-      case KEYS.TAB:
-        // Close dropdown and allow normal tab behavior
-        if (isExpanded) {
-          this._closeDropdown(dropdown, trigger);
+    // Children are not parsed yet when upgraded during document parsing
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => {
+        if (this.isConnected && !this._rendered) {
+          this.connectedCallback();
         }
-        break;
+      }, { once: true });
+      return;
+    }
+    
+    this._render();
+    this._rendered = true;
+    this._update();
+    this._connected();
+  }
+  
+  disconnectedCallback() {
+    if (this._rendered) {
+      this._disconnected();
+    }
+  }
+  
+  attributeChangedCallback() {
+    if (this._rendered) {
+      this._update();
     }
   }
   
-  /* ========================================================================
-   * EXPAND/COLLAPSE HANDLER
-   * ========================================================================
-   * Manages content visibility toggle with ARIA states.
-   * ======================================================================== */
+  /**
+   * Build the component markup
+   * @protected
+   */
+  _render() {}
   
   /**
-   * Handle expand/collapse button click
-   * @private
-   * @param {HTMLElement} button - The expand button element
+   * Sync rendered markup with current attributes
+   * @protected
    */
-  _handleExpand(button) {
-    const targetId = button.getAttribute(ARIA.controls);
-    const target = targetId ? document.getElementById(targetId) : null;
-    const isExpanded = button.getAttribute(ARIA.expanded) === 'true';
-    const newState = !isExpanded;
+  _update() {}
+  
+  /**
+   * Called each time the rendered element is connected
+   * @protected
+   */
+  _connected() {}
+  
+  /**
+   * Called each time the rendered element is disconnected
+   * @protected
+   */
+  _disconnected() {}
+}
+
+/**
+ * <ds-button> - Form-associated button
+ * 
+ * @example
+ * <ds-button variant="primary" type="submit">Save</ds-button>
+ * <ds-button appearance="outline" toggle pressed name="bold">B</ds-button>
+ */
+class DsButtonElement extends DsElement {
+  static get observedAttributes() {
+    return ['variant', 'appearance', 'size', 'loading', 'loading-text', 'pressed', 'toggle', 'disabled', 'label', 'value'];
+  }
+  
+  static get formAssociated() {
+    return true;
+  }
+  
+  constructor() {
+    super();
     
-    // Toggle aria-expanded
-    button.setAttribute(ARIA.expanded, String(newState));
+    const internals = typeof this.attachInternals === 'function' ? this.attachInternals() : null;
     
-    // Toggle target visibility if specified
-    if (target) {
-      target.hidden = !newState;
-    }
+    // Partial implementations expose ARIA reflection without the form APIs
+    /** @type {ElementInternals|null} */
+    this._internals = internals && typeof internals.setFormValue === 'function' ? internals : null;
     
-    // Dispatch custom event
-    this._dispatchEvent(button, 'expand', createEventDetail({ expanded: newState }));
+    /** @type {HTMLButtonElement|null} */
+    this.button = null;
+    
+    // Disabled by an ancestor <fieldset disabled>
+    this._formDisabled = false;
+    
+    // Pressed state restored on form reset
+    this._defaultPressed = false;
+    
+    this._handleClick = this._handleClick.bind(this);
   }
   
-  /* ========================================================================
-   * UTILITY METHODS
-   * ======================================================================== */
-  
   /**
-   * Create live region for screen reader announcements
-   * @private
+   * The form this button belongs to
+   * Falls back to the nearest ancestor form without ElementInternals.
+   * @returns {HTMLFormElement|null} The associated form
    */
-  _createLiveRegion() {
-    if (this._liveRegion) return;
+  get form() {
+    return this._internals ? this._internals.form : this.closest('form');
+  }
+  
+  _render() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn';
     
-    this._liveRegion = document.createElement('div');
-    this._liveRegion.id = 'btn-system-live-region';
-    this._liveRegion.setAttribute('aria-live', 'polite');
-    this._liveRegion.setAttribute('aria-atomic', 'true');
-    this._liveRegion.setAttribute('role', 'status');
-    this._liveRegion.className = 'sr-only';
+    while (this.firstChild) {
+      button.appendChild(this.firstChild);
+    }
+    
+    this.appendChild(button);
+    this.button = button;
+    this._defaultPressed = this.pressed;
     
-    // Visually hidden but accessible to screen readers
-    Object.assign(this._liveRegion.style, {
-      position: 'absolute',
-      width: '1px',
-      height: '1px',
-      padding: '0',
-      margin: '-1px',
-      overflow: 'hidden',
-      clip: 'rect(0, 0, 0, 0)',
-      whiteSpace: 'nowrap',
-      border: '0'
+    // Reflect state changed by ButtonSystem back onto the host
+    button.addEventListener(EVENTS.toggle, (event) => {
+      this.pressed = event.detail.pressed;
     });
+    button.addEventListener(EVENTS.loadingComplete, () => {
+      this.loading = false;
+    });
+    
+    this.addEventListener('click', this._handleClick);
+  }
+  
+  _update() {
+    const { button } = this;
+    const isToggle = this.toggle || this.hasAttribute('pressed');
+    
+    applyButtonModifiers(button, this);
+    
+    // Loading owns the disabled state until it ends
+    if (!button.classList.contains('btn--loading')) {
+      button.disabled = this.disabled || this._formDisabled;
+    }
+    
+    if (this.label) {
+      button.setAttribute('aria-label', this.label);
+    } else {
+      button.removeAttribute('aria-label');
+    }
+    
+    if (isToggle) {
+      button.setAttribute(DATA_ATTRS.toggle, '');
+      button.setAttribute(ARIA.pressed, String(this.pressed));
+      button.classList.toggle('btn--selected', this.pressed);
+    } else {
+      button.removeAttribute(DATA_ATTRS.toggle);
+      button.removeAttribute(ARIA.pressed);
+      button.classList.remove('btn--selected');
+    }
+    
+    this._syncLoading();
     
-    document.body.appendChild(this._liveRegion);
+    if (this._internals) {
+      this._internals.setFormValue(isToggle && this.pressed ? (this.value || 'on') : null);
+    }
   }
   
   /**
-   * Announce message to screen readers
+   * Apply or remove the loading state through the managing ButtonSystem
    * @private
-   * @param {string} message - The message to announce
    */
-  _announce(message) {
-    if (!this._liveRegion) return;
-    
-    // Clear and set message with delay for screen reader detection
-    this._liveRegion.textContent = '';
+  _syncLoading() {
+    const { button } = this;
+    const isLoading = button.classList.contains('btn--loading');
+    const system = getManagingSystem(this);
     
-    setTimeout(() => {
-      if (this._liveRegion && isElementConnected(this._liveRegion)) {
-        this._liveRegion.textContent = message;
+    if (this.loading && !isLoading) {
+      if (system) {
+        system.startLoading(button, { loadingText: this.loadingText });
+      } else {
+        button.classList.add('btn--loading');
+        button.setAttribute(ARIA.busy, 'true');
+      }
+    } else if (!this.loading && isLoading) {
+      if (system) {
+        system.cancelLoading(button);
+      } else {
+        button.classList.remove('btn--loading');
+        button.setAttribute(ARIA.busy, 'false');
       }
-    }, DEFAULTS.announceDelay);
+    }
   }
   
   /**
-   * Dispatch custom event on element
+   * Submit or reset the associated form
    * @private
-   * @param {HTMLElement} element - The element to dispatch from
-   * @param {string} eventName - The event name
-   * @param {Object} [detail=null] - Event detail data (should be null-prototype object)
    */
-  _dispatchEvent(element, eventName, detail = null) {
-    element.dispatchEvent(new CustomEvent(eventName, {
-      bubbles: true,
-      cancelable: true,
-      detail
-    }));
+  _handleClick() {
+    const form = this.form;
+    if (!form || !this.button || this.button.disabled) return;
+    
+    const type = this.getAttribute('type');
+    if (type === 'submit') {
+      form.requestSubmit();
+    } else if (type === 'reset') {
+      form.reset();
+    }
   }
   
-  /* ========================================================================
-   * PUBLIC API METHODS
-   * ======================================================================== */
+  formResetCallback() {
+    this.pressed = this._defaultPressed;
+  }
   
-  /**
-   * Programmatically trigger loading state on a button
-   * @public
-   * @param {HTMLElement} button - The button element
-   * @param {number} [duration=2000] - Duration in milliseconds (100-30000)
-   * @returns {Promise<void>} Resolves when loading completes
-   * @throws {TypeError} If button is not a valid HTMLElement
-   * 
-   * @example
-   * await buttonSystem.setLoading(myButton, 3000);
-   * console.log('Loading complete!');
-   */
-  setLoading(button, duration = DEFAULTS.loadingDuration) {
-    return new Promise((resolve, reject) => {
-      if (!button || !(button instanceof HTMLElement)) {
-        reject(new TypeError('setLoading: button must be an HTMLElement'));
-        return;
-      }
-      
-      const validDuration = clamp(duration, DEFAULTS.minDuration, DEFAULTS.maxDuration);
-      
-      // Store original state
-      buttonOriginalContent.set(button, {
-        innerHTML: button.innerHTML,
-        disabled: button.disabled
-      });
-      
-      // Clear any existing timeout
-      const existingTimeout = buttonTimeouts.get(button);
-      if (existingTimeout) {
-        clearTimeout(existingTimeout);
-      }
-      
-      // Apply loading state
-      button.classList.add('btn--loading');
-      button.setAttribute(ARIA.busy, 'true');
-      button.disabled = true;
-      
-      // Announce loading
-      this._announce(this._config.i18n.loading);
-      
-      // Set timeout
-      const timeoutId = setTimeout(() => {
-        if (isElementConnected(button)) {
-          this._resetLoadingState(button);
-        } else {
-          buttonOriginalContent.delete(button);
-          buttonTimeouts.delete(button);
-        }
-        resolve();
-      }, validDuration);
-      
-      buttonTimeouts.set(button, timeoutId);
-    });
+  formDisabledCallback(disabled) {
+    this._formDisabled = disabled;
+    if (this._rendered) {
+      this._update();
+    }
+  }
+}
+
+defineReflectedProperties(DsButtonElement, {
+  variant: 'string',
+  appearance: 'string',
+  size: 'string',
+  loading: 'boolean',
+  loadingText: 'string',
+  pressed: 'boolean',
+  toggle: 'boolean',
+  disabled: 'boolean',
+  label: 'string',
+  value: 'string',
+  type: 'string'
+});
+
+/**
+ * <ds-dropdown> - Dropdown menu button
+ * Child buttons become menu items; <hr> children become separators.
+ * 
+ * @example
+ * <ds-dropdown label="Options" variant="secondary" appearance="outline">
+ *   <button value="edit">Edit</button>
+ *   <button value="delete">Delete</button>
+ * </ds-dropdown>
+ */
+class DsDropdownElement extends DsElement {
+  static get observedAttributes() {
+    return ['variant', 'appearance', 'size', 'disabled', 'label', 'menu-label'];
   }
   
-  /**
-   * Cancel loading state on a button
-   * @public
-   * @param {HTMLElement} button - The button element
-   */
-  cancelLoading(button) {
-    if (!button) return;
+  constructor() {
+    super();
     
-    const existingTimeout = buttonTimeouts.get(button);
-    if (existingTimeout) {
-      clearTimeout(existingTimeout);
-    }
+    /** @type {HTMLButtonElement|null} */
+    this.trigger = null;
     
-    if (isElementConnected(button)) {
-      this._resetLoadingState(button);
-    } else {
-      buttonOriginalContent.delete(button);
-      buttonTimeouts.delete(button);
-    }
+    /** @type {HTMLElement|null} */
+    this.menu = null;
   }
   
-  /**
-   * Programmatically set button pressed state
-   * @public
-   * @param {HTMLElement} button - The button element
-   * @param {boolean} pressed - Whether the button should be pressed
-   * 
-   * @example
-   * buttonSystem.setPressed(toggleButton, true);
-   */
-  setPressed(button, pressed) {
-    if (!button) return;
+  _render() {
+    const menuId = `ds-menu-${++customElementId}`;
     
-    const newState = Boolean(pressed);
-    button.setAttribute(ARIA.pressed, String(newState));
-    button.classList.toggle('btn--selected', newState);
+    this.classList.add('btn-dropdown');
+    this.setAttribute(ARIA.expanded, 'false');
     
-    // Dispatch event for consistency
-    this._dispatchEvent(button, 'toggle', createEventDetail({ pressed: newState }));
+    const trigger = document.createElement('button');
+    trigger.type = 'button';
+    trigger.className = 'btn btn-dropdown__trigger';
+    trigger.setAttribute(ARIA.haspopup, 'menu');
+    trigger.setAttribute(ARIA.expanded, 'false');
+    trigger.setAttribute(ARIA.controls, menuId);
+    trigger.innerHTML = '<span class="btn-dropdown__label"></span><span class="btn-dropdown__caret" aria-hidden="true"></span>';
+    
+    const menu = document.createElement('div');
+    menu.className = 'btn-dropdown__menu';
+    menu.id = menuId;
+    menu.setAttribute('role', 'menu');
+    
+    while (this.firstChild) {
+      menu.appendChild(this.firstChild);
+    }
+    decorateMenuChildren(menu);
+    
+    this.append(trigger, menu);
+    this.trigger = trigger;
+    this.menu = menu;
   }
   
-  /**
-   * Open a dropdown programmatically
-   * @public
-   * @param {HTMLElement} dropdown - The dropdown container element
-   */
-  openDropdown(dropdown) {
-    if (!dropdown) return;
+  _update() {
+    applyButtonModifiers(this.trigger, this);
+    this.trigger.disabled = this.disabled;
+    this.trigger.querySelector('.btn-dropdown__label').textContent = this.label || '';
     
-    const trigger = dropdown.querySelector(SELECTORS.dropdownTrigger);
-    const menu = dropdown.querySelector(SELECTORS.dropdownMenu);
+    // In select mode the label is the placeholder until an option is chosen
+    if (this.hasAttribute(DATA_ATTRS.select)) {
+      dropdownPlaceholders.set(this, this.label || '');
+      renderDropdownSelection(this);
+    }
     
-    if (trigger && menu) {
-      this._closeAllDropdowns();
-      this._openDropdown(trigger, dropdown, menu);
+    const menuLabel = this.menuLabel || this.label;
+    if (menuLabel) {
+      this.menu.setAttribute('aria-label', menuLabel);
+    } else {
+      this.menu.removeAttribute('aria-label');
     }
   }
   
-  /**
-   * Close a dropdown programmatically
-   * @public
-   * @param {HTMLElement} dropdown - The dropdown container element
-   */
-  closeDropdown(dropdown) {
-    if (!dropdown) return;
-    this._closeDropdown(dropdown);
+  _disconnected() {
+    const system = getManagingSystem(this.trigger);
+    if (system) {
+      system.closeDropdown(this);
+    }
   }
   
   /**
-   * Close all dropdowns
+   * The chosen option's value ('' if none)
    * @public
+   * @type {string}
    */
-  closeAllDropdowns() {
-    this._closeAllDropdowns();
+  get value() {
+    return readDropdownValue(this)[0] || '';
   }
   
-  /**
-   * Set toggle state for an entire group
-   * @public
-   * @param {string} groupName - The toggle group name
-   * @param {HTMLElement} activeButton - The button to set as active
-   */
-  setGroupValue(groupName, activeButton) {
-    if (!isValidGroupName(groupName)) return;
-    
-    const groupButtons = document.querySelectorAll(
-      `[${DATA_ATTRS.toggleGroup}="${CSS.escape(groupName)}"]`
-    );
-    
-    groupButtons.forEach(btn => {
-      const isActive = btn === activeButton;
-      btn.setAttribute(ARIA.pressed, String(isActive));
-      btn.classList.toggle('btn--selected', isActive);
-    });
+  set value(value) {
+    const system = getManagingSystem(this);
+    if (system) {
+      system.setDropdownValue(this, value || null);
+      return;
+    }
     
-    if (activeButton) {
-      this._dispatchEvent(activeButton, 'toggle', createEventDetail({ pressed: true }));
+    if (value) {
+      this.setAttribute(DATA_ATTRS.value, value);
+    } else {
+      this.removeAttribute(DATA_ATTRS.value);
+    }
+    if (this.trigger && this.hasAttribute(DATA_ATTRS.select)) {
+      renderDropdownSelection(this);
     }
   }
 }
 
-/* ========================================================================
- * SPLIT BUTTON CONTROLLER
- * ========================================================================
- * Specialized controller for split button functionality.
- * Separates primary action from dropdown options.
- * ======================================================================== */
+defineReflectedProperties(DsDropdownElement, {
+  variant: 'string',
+  appearance: 'string',
+  size: 'string',
+  disabled: 'boolean',
+  label: 'string',
+  menuLabel: 'string'
+});
 
-class SplitButtonController {
-  /**
-   * Create a split button controller
-   * @param {HTMLElement} element - The split button container
-   * @throws {Error} If element is not provided
-   */
-  constructor(element) {
-    if (!element) {
-      throw new Error('SplitButtonController: element is required');
-    }
+/**
+ * <ds-split-button> - Primary action with attached options menu
+ * 
+ * @example
+ * <ds-split-button label="Save" menu-label="More save options" variant="primary">
+ *   <button value="draft">Save as Draft</button>
+ * </ds-split-button>
+ */
+class DsSplitButtonElement extends DsDropdownElement {
+  constructor() {
+    super();
     
-    /** @type {HTMLElement} */
-    this.element = element;
+    /** @type {HTMLButtonElement|null} */
+    this.mainButton = null;
     
-    /** @type {HTMLElement|null} */
-    this.mainButton = element.querySelector(SELECTORS.splitMain);
+    /** @type {SplitButtonController|null} */
+    this._controller = null;
+  }
+  
+  _render() {
+    super._render();
     
-    /** @type {HTMLElement|null} */
-    this.dropdownButton = element.querySelector('.btn-split__dropdown');
+    this.classList.add('btn-split');
     
-    /** @type {AbortController} */
-    this._abortController = new AbortController();
+    const mainButton = document.createElement('button');
+    mainButton.type = 'button';
+    mainButton.className = 'btn btn-split__main';
     
-    this._init();
+    // The caret trigger is icon-only; its name comes from menu-label
+    this.trigger.classList.add('btn-split__dropdown');
+    this.trigger.querySelector('.btn-dropdown__label').remove();
+    
+    this.insertBefore(mainButton, this.trigger);
+    this.mainButton = mainButton;
   }
   
-  /**
-   * Initialize split button behaviors
-   * @private
-   */
-  _init() {
-    if (!this.mainButton) return;
+  _update() {
+    applyButtonModifiers(this.mainButton, this);
+    applyButtonModifiers(this.trigger, this);
     
-    this.mainButton.addEventListener('click', (event) => {
-      this.element.dispatchEvent(new CustomEvent('primaryAction', {
-        bubbles: true,
-        cancelable: true,
-        detail: createEventDetail({ originalEvent: event })
-      }));
-    }, { signal: this._abortController.signal });
+    this.mainButton.textContent = this.label || '';
+    this.mainButton.disabled = this.disabled;
+    this.trigger.disabled = this.disabled;
+    this.trigger.setAttribute('aria-label', this.menuLabel || this.label || '');
+    
+    if (this.menuLabel) {
+      this.menu.setAttribute('aria-label', this.menuLabel);
+    } else {
+      this.menu.removeAttribute('aria-label');
+    }
   }
   
-  /**
-   * Clean up event listeners
-   * @public
-   */
-  destroy() {
-    this._abortController.abort();
+  _connected() {
+    // ButtonSystem.init() may already have wired this element
+    if (!this._controller && !splitButtonControllers.has(this)) {
+      this._controller = new SplitButtonController(this);
+    }
+  }
+  
+  _disconnected() {
+    super._disconnected();
+    
+    if (this._controller) {
+      this._controller.destroy();
+      this._controller = null;
+    }
   }
 }
 
+/**
+ * Register the custom elements
+ * Safe to call more than once; already-defined names are skipped.
+ * @param {CustomElementRegistry} [registry=customElements] - Target registry
+ */
+function defineCustomElements(registry = customElements) {
+  const definitions = {
+    'ds-button': DsButtonElement,
+    'ds-dropdown': DsDropdownElement,
+    'ds-split-button': DsSplitButtonElement
+  };
+  
+  Object.keys(definitions).forEach(name => {
+    if (!registry.get(name)) {
+      registry.define(name, definitions[name]);
+    }
+  });
+}
+
+if (typeof customElements !== 'undefined') {
+  defineCustomElements();
+}
+
 /* ========================================================================
  * INITIALIZATION
  * ========================================================================
- * Create singleton instance of ButtonSystem.
+ * Create the document-level instance of ButtonSystem.
  * Instance is available globally as window.buttonSystem
+ * 
+ * Skipped when the script tag has `data-manual-init`, and reused when
+ * another copy of the script already created one. `data-legacy-events`
+ * and `data-debug` turn on the legacyEvents and debug options.
  * ======================================================================== */
 
+const currentScript = typeof document !== 'undefined' ? document.currentScript : null;
+const manualInit = Boolean(currentScript && currentScript.hasAttribute('data-manual-init'));
+const legacyEvents = Boolean(currentScript && currentScript.hasAttribute('data-legacy-events'));
+const debug = Boolean(currentScript && currentScript.hasAttribute('data-debug'));
+const existingInstance = typeof window !== 'undefined' ? window.buttonSystem : null;
+
 // Create global instance (auto-initializes)
-const buttonSystem = new ButtonSystem();
+const buttonSystem = existingInstance || (manualInit ? null : new ButtonSystem({ legacyEvents, debug }));
 
 // Expose to window for global access
 if (typeof window !== 'undefined') {
   window.buttonSystem = buttonSystem;
   window.ButtonSystem = ButtonSystem;
   window.SplitButtonController = SplitButtonController;
+  window.DsButtonElement = DsButtonElement;
+  window.DsDropdownElement = DsDropdownElement;
+  window.DsSplitButtonElement = DsSplitButtonElement;
 }
 
 // Export for module usage (ES modules and CommonJS)
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { ButtonSystem, SplitButtonController, buttonSystem };
+  module.exports = {
+    ButtonSystem,
+    SplitButtonController,
+    DsButtonElement,
+    DsDropdownElement,
+    DsSplitButtonElement,
+    defineCustomElements,
+    buttonSystem
+  };
 }